@@ -6,6 +6,23 @@ import TelegramBot from 'node-telegram-bot-api';
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 import express from 'express';
+import PQueue from 'p-queue';
+import { fileURLToPath } from 'url';
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { cleanFileName, generateAttributes, escapeRegex, escapeHtml, formatSize, capitalize } from './lib/text.js';
+import {
+  ReleaseFields, RESOLUTIONS, SOURCES, CODECS, LANGUAGE_ALIASES, SUBTITLES,
+  parseReleaseInfo, formatReleaseInfo, parseReleaseCorrections, seriesTitleFrom
+} from './lib/release.js';
+import {
+  normalizeTerm, searchTerms, trigrams, titleTerms, generateSearchGrams, termScore, scoreFile, rankFiles, suggestQuery
+} from './lib/search.js';
+import { BACKUP_FIELDS, backupLine, parseBackup } from './lib/backup.js';
+import { encodeCursor, decodeCursor } from './lib/cursor.js';
+import { signShareToken, readShareToken } from './lib/share.js';
+import { DEFAULT_LANG, LOCALES, pickLanguage, t } from './lib/i18n.js';
 
 // --- CONFIGURATION ---
 const {
@@ -13,11 +30,39 @@ const {
   MONGODB_URI,
   ADMIN_IDS = '',
   DAILY_LIMIT = '100',
+  PREMIUM_DAILY_LIMIT = '500',
+  // Referrals: extra daily downloads per invited user, for how many days (0 = permanent), and the most one user can hold
+  REFERRAL_BONUS = '5',
+  REFERRAL_BONUS_DAYS = '30',
+  REFERRAL_MAX_BONUS = '50',
   RESULTS_PER_PAGE = '10',
+  // Auto-delete delays in seconds (0 = keep)
+  AUTO_DELETE_RESULTS_SEC = '60', // Result lists, /recent, /trending, /favorites
+  AUTO_DELETE_FILE_SEC = '60', // Delivered files (admins can override per file with /autodelete)
+  AUTO_DELETE_NOTICE_SEC = '10', // Short "not found"/hint messages
+  TRASH_RETENTION_DAYS = '30', // Deleted files can be restored for this long
+  ANALYTICS_RETENTION_DAYS = '180', // Search/download events older than this are dropped
   PORT = 3000,
   RENDER_EXTERNAL_URL,
+  // How updates arrive: "webhook" (default when RENDER_EXTERNAL_URL is set) or "polling"
+  BOT_TRANSPORT,
+  WEBHOOK_SECRET, // Checked against Telegram's secret_token header (defaults to a hash of the bot token)
+  RECORD_UPDATES_DIR, // Save every incoming update here as JSON, for `npm run replay`
   // [FEATURE 1] Force Join Config
-  FORCE_CHANNEL_ID // e.g., "@mychannel" or "-100123456789"
+  FORCE_CHANNEL_ID, // e.g., "@mychannel" or "-100123456789"; more channels are added with /channels
+  FORCE_JOIN_STRICT = 'false', // true = block users when a channel can't be checked, instead of letting them through
+  // Bulk indexing: channels the bot watches (it must be an admin there) and auto-approve rules
+  STORAGE_CHANNEL_IDS = '', // e.g., "@mystorage,-100123456789"
+  INDEX_REVIEW_CHAT_ID, // Where files that fail the rules go for review (default: first admin)
+  AUTO_INDEX_MIN_SIZE_MB = '0',
+  AUTO_INDEX_MAX_SIZE_MB = '0', // 0 = no limit
+  AUTO_INDEX_EXTENSIONS = 'mkv,mp4,avi,mov,webm,m4v',
+  AUTO_INDEX_CAPTION_PATTERN, // Optional regex the caption/filename must match
+  // Web admin panel: signs login cookies (defaults to a hash of the bot token)
+  ADMIN_PANEL_SECRET,
+  // Share links: signs their tokens (defaults to a hash of the bot token); days until they expire (0 = never)
+  SHARE_LINK_SECRET,
+  SHARE_LINK_TTL_DAYS = '0'
 } = process.env;
 
 if (!TELEGRAM_TOKEN || !MONGODB_URI) {
@@ -27,13 +72,31 @@ if (!TELEGRAM_TOKEN || !MONGODB_URI) {
 
 const ADMIN_SET = new Set(ADMIN_IDS.split(',').map(s => s.trim()).filter(Boolean));
 const DAILY_LIMIT_NUM = Number(DAILY_LIMIT) || 100;
+const PREMIUM_DAILY_LIMIT_NUM = Number(PREMIUM_DAILY_LIMIT) || 500;
+const FORCE_JOIN_STRICT_ON = FORCE_JOIN_STRICT === 'true';
+const REFERRAL_BONUS_NUM = Number(REFERRAL_BONUS) || 0;
+const REFERRAL_BONUS_MS = (Number(REFERRAL_BONUS_DAYS) || 0) * 86400000;
+const REFERRAL_MAX_BONUS_NUM = Number(REFERRAL_MAX_BONUS) || 0;
 const RESULTS_PER_PAGE_NUM = Number(RESULTS_PER_PAGE) || 10;
+const TRASH_RETENTION_MS = (Number(TRASH_RETENTION_DAYS) || 30) * 86400000;
+const ANALYTICS_RETENTION_DAYS_NUM = Number(ANALYTICS_RETENTION_DAYS) || 180;
+const SHARE_TTL_MS = (Number(SHARE_LINK_TTL_DAYS) || 0) * 86400000;
+const AUTO_DELETE_MS = {
+  results: Number(AUTO_DELETE_RESULTS_SEC) * 1000,
+  file: Number(AUTO_DELETE_FILE_SEC) * 1000,
+  notice: Number(AUTO_DELETE_NOTICE_SEC) * 1000
+};
+const STORAGE_CHANNELS = new Set(STORAGE_CHANNEL_IDS.split(',').map(s => s.trim()).filter(Boolean));
+const INDEX_REVIEW_CHAT = INDEX_REVIEW_CHAT_ID || [...ADMIN_SET][0];
 
 // --- DATABASE CONNECT ---
-const redis = new Redis(process.env.REDIS_URL);
+// Replays (`npm run replay`, `npm test`) get their own database and Redis keys, so recorded updates
+// never touch live users, quotas, analytics or the auto-delete queue
+const REPLAY = process.argv.includes('--replay');
+const redis = new Redis(process.env.REDIS_URL, REPLAY ? { keyPrefix: 'replay:' } : {});
 redis.on('error', err => console.error('Redis Error:', err.message));
 
-await mongoose.connect(MONGODB_URI, { dbName: 'TelegramMovies' });
+await mongoose.connect(MONGODB_URI, { dbName: REPLAY ? 'TelegramMoviesReplay' : 'TelegramMovies' });
 console.log('✅ MongoDB Connected');
 
 // --- SCHEMAS ---
@@ -44,20 +107,205 @@ const UserSchema = new Schema({
   userId: { type: String, unique: true, index: true },
   firstName: String,
   username: String,
-  joinedAt: { type: Date, default: Date.now }
+  joinedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, index: true },
+  active: { type: Boolean, default: true }, // false once the user blocks the bot (403)
+  // Owners come from ADMIN_IDS and are never stored here
+  role: { type: String, enum: ['banned', 'user', 'premium', 'moderator', 'admin'], default: 'user', index: true },
+  language: String, // Chosen with /language
+  languageCode: String, // Telegram client language, used until they choose
+  dailyLimit: Number, // Overrides the role's default limit
+  premiumUntil: Date,
+  banReason: String,
+  referralCode: { type: String, unique: true, sparse: true }, // Personal /invite link code
+  referredBy: String, // Who invited them, once the referral counted
+  // Extra daily downloads on top of the limit, from referrals; `until` unset = permanent
+  bonusGrants: [{ _id: false, amount: Number, until: Date, referralOf: String }],
+  historyClearedAt: Date // /history clear: older events are hidden from them, but stay in analytics
 });
 
 const FileSchema = new Schema({
   customId: { type: String, unique: true, index: true },
   file_id: { type: String, required: true, unique: true },
+  file_unique_id: { type: String, index: true }, // Same for a file however it was forwarded (file_id is not)
   file_name: String,
   type: String,
   uploader_id: String,
   uploaded_at: { type: Date, default: Date.now, index: true },
   downloads: { type: Number, default: 0, index: true },
   file_size: String,
+  file_bytes: { type: Number, index: true },
   clean_title: String,
-  attributes: { type: [String], index: true }
+  tags: [String], // Extra search tags added by admins, merged into `attributes`
+  attributes: { type: [String], index: true },
+  search_grams: { type: [String], index: true },
+  ...ReleaseFields,
+  seriesId: { type: String, index: true },
+  autoDeleteSec: Number, // Overrides AUTO_DELETE_FILE_SEC for this file (0 = keep)
+  aliases: { type: [String], index: true } // IDs of duplicates merged into this file
+});
+
+// Series group episode files by show -> season -> episode
+const SeriesSchema = new Schema({
+  seriesId: { type: String, unique: true, index: true },
+  title: String,
+  key: { type: String, unique: true }, // Normalized title, used to match uploads to an existing show
+  created_at: { type: Date, default: Date.now }
+});
+
+// Several files under one B#### ID: split parts of one movie, or a collection (trilogy, season pack)
+const BundleSchema = new Schema({
+  bundleId: { type: String, unique: true, index: true },
+  title: String,
+  kind: { type: String, enum: ['parts', 'collection'], default: 'collection' },
+  items: [String], // File customIds in delivery order
+  attributes: [String],
+  search_grams: { type: [String], index: true },
+  downloads: { type: Number, default: 0 },
+  created_by: String,
+  created_at: { type: Date, default: Date.now }
+});
+
+// Broadcast jobs are persisted with per-recipient state so they survive restarts
+const BroadcastSchema = new Schema({
+  adminId: String,
+  chatId: String, // Where the live status message lives
+  statusMessageId: Number,
+  mode: { type: String, enum: ['text', 'copy'] },
+  text: String,
+  variants: { type: Map, of: String }, // Per-language texts; `text` is the fallback
+  sourceChatId: String,
+  sourceMessageId: Number,
+  segment: { type: String, default: 'all' },
+  status: { type: String, enum: ['preparing', 'queued', 'running', 'done', 'cancelled'], default: 'preparing', index: true },
+  total: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  blocked: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  finished_at: Date
+});
+const BroadcastRecipientSchema = new Schema({
+  broadcastId: { type: Schema.Types.ObjectId, required: true },
+  userId: String,
+  lang: String,
+  state: { type: String, enum: ['pending', 'sent', 'blocked', 'failed'], default: 'pending' },
+  error: String
+});
+
+// Deleted files are kept here (full copy) so they can be restored
+const TrashSchema = new Schema({
+  customId: { type: String, index: true },
+  file: { type: Object, required: true },
+  deletedBy: String,
+  deleted_at: { type: Date, default: Date.now, index: true }
+});
+
+// Who did what: every staff action that changes data
+const AuditSchema = new Schema({
+  actorId: { type: String, index: true },
+  action: { type: String, index: true }, // e.g. "file.delete", "user.ban"
+  target: { type: String, index: true }, // File/user/request/broadcast ID
+  details: Object,
+  created_at: { type: Date, default: Date.now, index: true }
+});
+
+// Analytics log: one row per search, download, favorite or join. Expires after ANALYTICS_RETENTION_DAYS.
+const EventSchema = new Schema({
+  type: { type: String, enum: ['search', 'download', 'favorite', 'join', 'share', 'share_open'] },
+  userId: String,
+  customId: String, // download, favorite, share, share_open (file or bundle ID)
+  query: String, // search: normalized text
+  results: Number, // search: 0 = nothing found
+  source: String, // download: id/button/season/inline/share; join: bot/channel/share/referral; share_open: the outcome
+  sharedBy: String, // share_open, and joins through a share link
+  created_at: { type: Date, default: Date.now, expires: ANALYTICS_RETENTION_DAYS_NUM * 86400 }
+});
+
+// Precomputed "You might also like" lists, rebuilt in the background by computeRecommendations()
+const RecommendationSchema = new Schema({
+  customId: { type: String, unique: true, index: true },
+  items: [String], // Best first
+  updated_at: { type: Date, default: Date.now }
+});
+
+// REST API keys: only a SHA-256 hash is stored, the key itself is shown once on creation
+const ApiKeySchema = new Schema({
+  name: String,
+  prefix: { type: String, index: true }, // First characters of the key, to identify it in lists
+  keyHash: { type: String, unique: true },
+  scopes: { type: [String], default: ['catalog:read'] },
+  rateLimit: { type: Number, default: 60 }, // Requests per minute
+  revoked: { type: Boolean, default: false },
+  createdBy: String,
+  created_at: { type: Date, default: Date.now },
+  lastUsedAt: Date
+});
+
+// User requests for missing titles, deduplicated by normalized query
+const RequestSchema = new Schema({
+  requestId: { type: String, unique: true },
+  title: String,
+  key: String, // searchTerms() joined, the dedup key
+  terms: [String],
+  anchor: { type: String, index: true }, // See queryAnchor()
+  requesters: [String],
+  votes: { type: Number, default: 1 },
+  status: { type: String, enum: ['open', 'fulfilled', 'rejected'], default: 'open', index: true },
+  fulfilledWith: String,
+  handledBy: String,
+  created_at: { type: Date, default: Date.now },
+  closed_at: Date
+});
+
+// Keyword subscriptions: users get a message when a matching file is published
+const WatchSchema = new Schema({
+  userId: { type: String, index: true },
+  query: String,
+  key: String, // searchTerms() joined
+  terms: [String],
+  anchor: { type: String, index: true }, // See queryAnchor()
+  hits: { type: Number, default: 0 },
+  created_at: { type: Date, default: Date.now },
+  lastNotifiedAt: Date
+});
+
+// One per invited user: pending until they pass verifyJoin, then counted and the referrer rewarded
+const ReferralSchema = new Schema({
+  referrerId: { type: String, index: true },
+  userId: { type: String, unique: true },
+  status: { type: String, enum: ['pending', 'counted'], default: 'pending' },
+  bonus: Number, // Daily downloads the referrer got for it (0 once they hold REFERRAL_MAX_BONUS)
+  created_at: { type: Date, default: Date.now },
+  counted_at: Date
+});
+
+// Channels users must join besides FORCE_CHANNEL_ID, managed by admins with /channels
+const ForceChannelSchema = new Schema({
+  chatId: { type: String, unique: true }, // Numeric ID, resolved when the channel is added
+  title: String,
+  username: String, // Public channels are linked as t.me/<username>
+  inviteLink: String, // Set by hand; otherwise the bot creates one for private channels
+  joinRequest: Boolean, // The link asks to join, and the bot approves requests itself
+  strict: Boolean, // If the bot can't check members there, users are blocked rather than let through
+  expiresAt: Date, // No longer required after this (e.g. a sponsored channel)
+  added_by: String,
+  added_at: { type: Date, default: Date.now }
+});
+
+// Per-group behavior, managed by the group's admins with /settings
+const GroupSchema = new Schema({
+  chatId: { type: String, unique: true },
+  title: String,
+  enabled: { type: Boolean, default: true },
+  delivery: { type: String, enum: ['private', 'group'], default: 'private' }, // Files via a deep link, or posted in the group
+  autoDeleteSec: Number, // Unset = the bot's defaults; 0 = keep
+  forceJoin: { type: Boolean, default: true },
+  hours: { _id: false, from: Number, to: Number }, // Unset = always; `to` is exclusive and may wrap past midnight
+  timezone: { type: String, default: 'UTC' },
+  prefix: String, // Messages starting with this (e.g. "#find") are searched too; the rest is the query
+  updated_by: String,
+  updated_at: Date
 });
 
 const CounterSchema = new Schema({ _id: String, seq: Number });
@@ -68,50 +316,135 @@ const PendingSchema = new Schema({
   chatId: String,
   messageId: Number,
   file_id: String,
+  file_unique_id: String,
   file_name: String,
   type: String,
   clean_title: String,
   attributes: [String],
   file_size: String,
+  file_bytes: Number,
+  ...ReleaseFields,
+  series_title: String,
+  duplicates: [{ _id: false, customId: String, clean_title: String, file_size: String, reason: String }],
+  review_note: String, // Why an auto-indexed file was sent for manual review
+  reviewMessageId: Number,
   created_at: { type: Date, default: Date.now }
 });
 
 LimitSchema.index({ userId: 1, date: 1 }, { unique: true });
 FavoriteSchema.index({ userId: 1, customId: 1 }, { unique: true });
 PendingSchema.index({ created_at: 1 }, { expireAfterSeconds: 600 });
+RequestSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+RequestSchema.index({ status: 1, votes: -1 });
+WatchSchema.index({ userId: 1, key: 1 }, { unique: true });
+BroadcastRecipientSchema.index({ broadcastId: 1, userId: 1 }, { unique: true });
+EventSchema.index({ type: 1, created_at: -1 });
+EventSchema.index({ customId: 1, created_at: -1 }, { sparse: true });
+EventSchema.index({ userId: 1, type: 1, created_at: -1 });
+EventSchema.index({ sharedBy: 1, created_at: -1 }, { sparse: true });
+ReferralSchema.index({ status: 1, counted_at: -1 });
+BroadcastRecipientSchema.index({ broadcastId: 1, state: 1 });
 
 const User = mongoose.model('User', UserSchema);
 const File = mongoose.model('File', FileSchema);
+const Series = mongoose.model('Series', SeriesSchema);
+const Bundle = mongoose.model('Bundle', BundleSchema);
 const Counter = mongoose.model('Counter', CounterSchema);
 const Limit = mongoose.model('Limit', LimitSchema);
 const Favorite = mongoose.model('Favorite', FavoriteSchema);
 const Pending = mongoose.model('Pending', PendingSchema);
+const Trash = mongoose.model('Trash', TrashSchema);
+const Audit = mongoose.model('Audit', AuditSchema);
+const Event = mongoose.model('Event', EventSchema);
+const Recommendation = mongoose.model('Recommendation', RecommendationSchema);
+const Request = mongoose.model('Request', RequestSchema);
+const Watch = mongoose.model('Watch', WatchSchema);
+const Group = mongoose.model('Group', GroupSchema);
+const ForceChannel = mongoose.model('ForceChannel', ForceChannelSchema);
+const Referral = mongoose.model('Referral', ReferralSchema);
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+const Broadcast = mongoose.model('Broadcast', BroadcastSchema);
+const BroadcastRecipient = mongoose.model('BroadcastRecipient', BroadcastRecipientSchema);
 
 // --- HELPERS ---
 
-function autoDeleteMessage(bot, chatId, messageId, delayMs = 60000) {
-  setTimeout(() => {
+// Deletions are also queued in a Redis sorted set (scored by due time) so a restart doesn't leave
+// messages behind; the timer only makes them punctual. Whoever removes the entry first deletes it.
+const AUTO_DELETE_KEY = 'autodelete';
+
+function autoDeleteMessage(chatId, messageId, delayMs = AUTO_DELETE_MS.results) {
+  if (!delayMs || REPLAY) return; // Replayed message IDs come from the stub API, not real chats
+  const member = `${chatId}:${messageId}`;
+  const queued = redis.zadd(AUTO_DELETE_KEY, Date.now() + delayMs, member).then(() => true, err => {
+    console.error('Auto-Delete Queue Error:', err.message);
+    return false;
+  });
+
+  setTimeout(async () => {
+    if (await queued) return deleteQueuedMessage(member);
     bot.deleteMessage(chatId, messageId).catch(() => { });
   }, delayMs);
 }
 
-async function nextSequence(name = 'file') {
+async function deleteQueuedMessage(member) {
+  try {
+    if (!await redis.zrem(AUTO_DELETE_KEY, member)) return;
+    const [chatId, messageId] = member.split(':');
+    await bot.deleteMessage(chatId, messageId).catch(() => { });
+  } catch (err) {
+    console.error('Auto-Delete Error:', err.message);
+  }
+}
+
+// Catches up deletions whose timers were lost to a restart; runs at startup and every minute
+async function sweepAutoDeletes() {
+  let total = 0;
+  let due;
+  do {
+    due = await redis.zrangebyscore(AUTO_DELETE_KEY, '-inf', Date.now(), 'LIMIT', 0, 100);
+    for (const member of due) {
+      await deleteQueuedMessage(member);
+      // Tiny delay to prevent 429 errors
+      await new Promise(r => setTimeout(r, 50));
+    }
+    total += due.length;
+  } while (due.length === 100);
+  return total;
+}
+
+function formatDelay(ms) {
+  const sec = Math.round(ms / 1000);
+  if (sec < 120) return `${sec}s`;
+  if (sec < 7200) return `${Math.round(sec / 60)} min`;
+  return sec < 172800 ? `${Math.round(sec / 3600)} h` : `${Math.round(sec / 86400)} days`; // Mutes, share links
+}
+
+async function nextSequence(name = 'file', prefix = 'F') {
   const doc = await Counter.findOneAndUpdate(
     { _id: name },
     { $inc: { seq: 1 } },
     { upsert: true, new: true }
   ).lean();
-  return 'F' + String(doc.seq).padStart(4, '0');
+  return prefix + String(doc.seq).padStart(4, '0');
 }
 
-async function incrementAndGetLimit(userId) {
+// Takes `count` downloads from today's quota in one conditional update, so parallel taps can't
+// overshoot it. Returns false (and takes nothing) when that would go over `limit`.
+async function consumeQuota(userId, limit, count = 1) {
+  if (count > limit) return false;
   const today = new Date().toISOString().slice(0, 10);
-  const doc = await Limit.findOneAndUpdate(
-    { userId, date: today },
-    { $inc: { count: 1 } },
-    { upsert: true, new: true, setDefaultsOnInsert: true }
-  ).lean();
-  return doc.count;
+  const filter = limit === Infinity ? { userId, date: today } : { userId, date: today, count: { $lte: limit - count } };
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await Limit.updateOne(filter, { $inc: { count } }, { upsert: true, setDefaultsOnInsert: true });
+      return true;
+    } catch (err) {
+      // The filter missed today's document, so the upsert collided with it: either the quota is
+      // used up, or a parallel request created it first (then the retry matches it)
+      if (err.code !== 11000) throw err;
+    }
+  }
+  return false;
 }
 
 async function getUserLimitCount(userId) {
@@ -121,553 +454,4783 @@ async function getUserLimitCount(userId) {
 }
 
 // [FEATURE 2] Helper: Save/Update User for Broadcasts
-async function saveUser(msg) {
-  if (!msg.from) return;
+// `joinFields` describe where a brand-new user came from, for the join event. True for new users.
+async function saveUser(msg, joinFields = { source: 'bot' }) {
+  if (!msg.from) return false;
   const userId = String(msg.from.id);
   try {
-    await User.updateOne(
+    // Returns the document as it was before the update, or null when this inserted it
+    const before = await User.findOneAndUpdate(
       { userId },
       {
         $set: {
           firstName: msg.from.first_name,
-          username: msg.from.username
+          username: msg.from.username,
+          lastSeenAt: new Date(),
+          active: true,
+          languageCode: msg.from.language_code
         },
         $setOnInsert: { joinedAt: new Date() }
       },
-      { upsert: true }
-    );
+      { upsert: true, projection: { languageCode: 1 } }
+    ).lean();
+    if (!before) track('join', userId, joinFields);
+    // getAccess picks the language from languageCode until the user chooses one
+    if (before && msg.from.language_code && before.languageCode !== msg.from.language_code) await redis.del(`access:${userId}`);
+    return !before;
   } catch (err) {
     console.error('Save User Error:', err.message);
+    return false;
   }
 }
 
-// [FEATURE 1] Helper: Force Subscribe Check
-async function verifyJoin(chatId, userId) {
-  if (!FORCE_CHANNEL_ID) return true; // Feature disabled if env var missing
-  if (ADMIN_SET.has(userId)) return true; // Admins bypass
+// --- ROLES ---
+// Ordered by rank. ADMIN_IDS are owners: they can't be banned or demoted from the bot.
+const ROLES = ['banned', 'user', 'premium', 'moderator', 'admin', 'owner'];
 
-  // Check Redis Cache first to avoid hitting API limits
-  const cacheKey = `isMember:${userId}`;
-  const cached = await redis.get(cacheKey);
-  if (cached) return cached === 'true';
+function roleAtLeast(role, min) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(min);
+}
 
-  try {
-    const member = await bot.getChatMember(FORCE_CHANNEL_ID, userId);
-    const isMember = ['creator', 'administrator', 'member'].includes(member.status);
+// Referral bonus grants that haven't run out
+function activeBonus(doc, now = new Date()) {
+  return (doc.bonusGrants || []).filter(g => !g.until || new Date(g.until) > now).reduce((sum, g) => sum + g.amount, 0);
+}
 
-    // Cache result: 5 mins for true, 1 min for false (in case they just joined)
-    await redis.set(cacheKey, String(isMember), 'EX', isMember ? 300 : 60);
+// Effective role, daily limit and language for a User document (or {} for unknown users).
+// `limit` includes referral bonuses; `baseLimit` and `bonus` are the two parts.
+function accessFor(userId, doc) {
+  const lang = doc.language || pickLanguage(doc.languageCode);
+  if (ADMIN_SET.has(userId)) return { role: 'owner', limit: Infinity, baseLimit: Infinity, bonus: 0, lang };
 
-    if (!isMember) {
-      const channelLink = FORCE_CHANNEL_ID.startsWith('@')
-        ? `https://t.me/${FORCE_CHANNEL_ID.replace('@', '')}`
-        : await bot.exportChatInviteLink(FORCE_CHANNEL_ID).catch(() => null);
+  let role = doc.role || 'user';
+  // Premium grants expire lazily; the stored role is left until the next /promote
+  if (role === 'premium' && doc.premiumUntil && new Date(doc.premiumUntil) < new Date()) role = 'user';
 
-      await bot.sendMessage(chatId, '⚠️ <b>You must join our channel to use this bot.</b>', {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '📢 Join Channel', url: channelLink || 'https://t.me/' }],
-            [{ text: '✅ I Have Joined', callback_data: 'CHECK_JOIN' }]
-          ]
-        }
-      });
-      return false;
-    }
-    return true;
-  } catch (err) {
-    console.error('Force Join Error:', err.message);
-    // If bot isn't admin in channel or ID is wrong, let user pass to avoid breaking bot
-    return true;
+  const roleLimit = roleAtLeast(role, 'moderator') ? Infinity : role === 'premium' ? PREMIUM_DAILY_LIMIT_NUM : DAILY_LIMIT_NUM;
+  const baseLimit = doc.dailyLimit ?? roleLimit;
+  const bonus = baseLimit === Infinity ? 0 : activeBonus(doc);
+  return { role, limit: baseLimit + bonus, baseLimit, bonus, premiumUntil: role === 'premium' ? doc.premiumUntil : undefined, lang };
+}
+
+async function getAccess(userId) {
+  userId = String(userId);
+  const cacheKey = `access:${userId}`;
+  const cached = await redis.get(cacheKey);
+  let doc = cached && JSON.parse(cached);
+
+  if (!doc) {
+    doc = await User.findOne({ userId }, { _id: 0, role: 1, dailyLimit: 1, premiumUntil: 1, language: 1, languageCode: 1, bonusGrants: 1 }).lean() || {};
+    await redis.set(cacheKey, JSON.stringify(doc), 'EX', 300);
   }
+  return accessFor(userId, doc);
 }
 
-function cleanFileName(text) {
-  return text
-    .replace(/\.(mkv|mp4|avi|mov|flv|wmv|webm|m4v)$/i, '')
-    .replace(/@\w+/g, '')
-    .replace(/[\[\]\(\)\{\}\.\;\:\~\|\,\_\-\+]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+async function hasRole(userId, min) {
+  return roleAtLeast((await getAccess(userId)).role, min);
 }
 
-function generateAttributes(text) {
-  return text.toLowerCase().split(' ').filter(t => t.length > 0);
+async function setUserAccess(userId, update) {
+  await User.updateOne({ userId }, { ...update, $setOnInsert: { joinedAt: new Date() } }, { upsert: true });
+  await redis.del(`access:${userId}`);
 }
 
-function formatSize(bytes) {
-  if (bytes >= 1e9) return (bytes / 1e9).toFixed(1) + " GB";
-  if (bytes >= 1e6) return (bytes / 1e6).toFixed(1) + " MB";
-  return (bytes / 1e3).toFixed(1) + " KB";
+// Numeric ID or @username of someone who has used the bot
+async function resolveUserId(arg) {
+  if (/^\d+$/.test(arg)) return arg;
+  const user = await User.findOne({ username: new RegExp(`^${escapeRegex(arg.replace(/^@/, ''))}$`, 'i') }, { userId: 1 }).lean();
+  return user?.userId || null;
 }
 
-// --- SERVER ---
-const app = express();
-app.use(express.json());
+function formatLimit(limit, lang = DEFAULT_LANG) {
+  return limit === Infinity ? t(lang, 'account.unlimited') : String(limit);
+}
 
-const bot = new TelegramBot(TELEGRAM_TOKEN);
-bot.setWebHook(`${RENDER_EXTERNAL_URL}/bot${TELEGRAM_TOKEN}`);
+// --- FORCE JOIN ---
+// Users must be in every required channel: FORCE_CHANNEL_ID plus the unexpired ones added with /channels.
+// Membership is cached per channel. A channel the bot can't check (not an admin, wrong ID) is skipped
+// so it doesn't lock everyone out, unless it is strict; either way the owners are alerted.
+const FORCE_CHANNELS_KEY = 'forceChannels';
 
-app.post(`/bot${TELEGRAM_TOKEN}`, (req, res) => {
-  bot.processUpdate(req.body);
-  res.sendStatus(200);
-});
+async function requiredChannels() {
+  const cached = await redis.get(FORCE_CHANNELS_KEY);
+  if (cached) return JSON.parse(cached);
 
-app.get('/', (req, res) => res.send('Bot is running. 🚀'));
-app.listen(PORT, () => console.log(`Server on port ${PORT}`));
+  const channels = await ForceChannel.find({ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }).sort({ added_at: 1 }).lean();
+  if (FORCE_CHANNEL_ID && !channels.some(c => channelMatches(c, FORCE_CHANNEL_ID))) {
+    channels.unshift({
+      chatId: FORCE_CHANNEL_ID,
+      username: FORCE_CHANNEL_ID.startsWith('@') ? FORCE_CHANNEL_ID.slice(1) : undefined,
+      strict: FORCE_JOIN_STRICT_ON,
+      fromEnv: true
+    });
+  }
+  await redis.set(FORCE_CHANNELS_KEY, JSON.stringify(channels), 'EX', 60);
+  return channels;
+}
 
-// --- BOT COMMANDS ---
+// `chat` is a Telegram chat, or an ID / @username
+function channelMatches(channel, chat) {
+  if (typeof chat !== 'object') chat = String(chat).startsWith('@') ? { username: String(chat).slice(1) } : { id: chat };
+  return (chat.id != null && channel.chatId === String(chat.id))
+    || (!!chat.username && channel.username?.toLowerCase() === chat.username.toLowerCase());
+}
 
-bot.setMyCommands([
-  { command: '/start', description: 'Start bot' },
-  { command: '/recent', description: 'New files' },
-  { command: '/trending', description: 'Popular files' },
-  { command: '/favorites', description: 'My saved files' },
-  { command: '/myaccount', description: 'Check limits' },
-]).catch(() => { });
+function memberCacheKey(channel, userId) {
+  return `isMember:${channel.chatId}:${userId}`;
+}
 
-bot.onText(/\/start/, async (msg) => {
-  await saveUser(msg); // Track user
-  if (!await verifyJoin(msg.chat.id, String(msg.from.id))) return;
+// 'member', 'missing', or 'error' when the bot can't check
+async function channelMembership(channel, userId) {
+  const cacheKey = memberCacheKey(channel, userId);
+  const cached = await redis.get(cacheKey);
+  if (cached) return cached === 'true' ? 'member' : 'missing';
+
+  try {
+    const member = await bot.getChatMember(channel.chatId, userId);
+    const isMember = ['creator', 'administrator', 'member'].includes(member.status) || (member.status === 'restricted' && member.is_member);
 
-  const text = `👋 <b>Welcome, ${msg.from.first_name}!</b>
+    // Cache result: 5 mins for true, 1 min for false (in case they just joined)
+    await redis.set(cacheKey, String(isMember), 'EX', isMember ? 300 : 60);
+    return isMember ? 'member' : 'missing';
+  } catch (err) {
+    console.error(`Force Join Error (${channel.chatId}):`, err.message);
+    alertChannelProblem(channel, err.message);
+    return 'error';
+  }
+}
 
-🔎 <b>How to search:</b>
-Simply type the name of the movie.
-<i>Example: "Avengers" or "Breaking Bad"</i>
+// Public channels link to their username; for private ones the bot makes a link once and keeps it
+async function channelLink(channel) {
+  if (channel.inviteLink) return channel.inviteLink;
+  if (channel.username) return `https://t.me/${channel.username}`;
 
-📂 <b>Commands:</b>
-/recent - New Uploads
-/trending - Most Popular
-/favorites - Saved Files
-/myaccount - Daily Limit`;
+  const cacheKey = `forceLink:${channel.chatId}`;
+  const cached = await redis.get(cacheKey);
+  if (cached) return cached;
+  const link = await bot.createChatInviteLink(channel.chatId, { name: 'Force join', ...(channel.joinRequest && { creates_join_request: true }) })
+    .catch(err => { alertChannelProblem(channel, `Could not create an invite link: ${err.message}`); return null; });
+  if (link) await redis.set(cacheKey, link.invite_link);
+  return link?.invite_link || null;
+}
 
-  await bot.sendMessage(msg.chat.id, text, { parse_mode: 'HTML' });
-});
+// Tells the owners about a channel the bot can't work with, at most once an hour per channel
+async function alertChannelProblem(channel, reason) {
+  if (!await redis.set(`forceAlert:${channel.chatId}`, '1', 'EX', 3600, 'NX')) return;
+  const text = `⚠️ <b>Force-join channel problem</b>\n\n${escapeHtml(channel.title || channel.chatId)} (<code>${channel.chatId}</code>)\n${escapeHtml(reason)}\n\n${channel.strict
+    ? '🔒 Strict: users are blocked until the bot is an admin there again.'
+    : '🔓 Users are let through for this channel until the bot is an admin there again.'}`;
+  for (const adminId of ADMIN_SET) bot.sendMessage(adminId, text, { parse_mode: 'HTML' }).catch(() => { });
+}
 
-bot.onText(/\/help/, async (msg) => {
-  const userId = String(msg.from.id);
-  const isAdmin = ADMIN_SET.has(userId);
+async function sendJoinPrompt(chatId, channels, lang) {
+  const links = await Promise.all(channels.map(channelLink));
+  const buttons = channels.map((channel, i) => [{
+    text: channels.length > 1 && channel.title ? `📢 ${channel.title}` : t(lang, 'join.button'),
+    url: links[i] || 'https://t.me/'
+  }]);
+  await bot.sendMessage(chatId, t(lang, 'join.required', { count: channels.length }), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [...buttons, [{ text: t(lang, 'join.confirm'), callback_data: 'CHECK_JOIN' }]] }
+  });
+}
 
-  // 1. Standard Help Message for Everyone
-  let helpText = `🔍 <b>Search:</b>
-Just type the name of the movie or series you want to find.`;
+// Forgets cached memberships, for "I Have Joined"
+async function clearMemberships(userId) {
+  const channels = await requiredChannels();
+  if (channels.length) await redis.del(...channels.map(c => memberCacheKey(c, userId)));
+}
 
-  // 2. Add Admin Commands ONLY if user is an Admin
-  if (isAdmin) {
-    helpText += `\n\n👮‍♂️ <b>Admin Commands:</b>
-/stats - View database statistics
-/broadcast [message] - Send text to all users
-/broadcast (reply) - Broadcast the message you reply to
-/delete [ID] - Delete a file by Custom ID
-<i>Upload: Simply send a file/video to the bot to upload it.</i>`;
+// [FEATURE 1] Helper: Force Subscribe Check
+// Also the ban gate: every user-facing feature goes through here.
+// Pass chatId = null to check silently (e.g. inline queries, where there is no chat to prompt in).
+// Groups can turn the channel check off with /settings; the ban check always applies.
+async function verifyJoin(chatId, userId, { forceJoin = true } = {}) {
+  const { role, lang } = await getAccess(userId);
+  if (role === 'banned') {
+    if (chatId) await bot.sendMessage(chatId, t(lang, 'banned.message')).catch(() => { });
+    return false;
   }
 
-  await bot.sendMessage(msg.chat.id, helpText, { parse_mode: 'HTML' });
-});
+  if (!forceJoin) return true;
+  if (roleAtLeast(role, 'moderator')) return true; // Staff bypass
 
-bot.onText(/\/stats/, async (msg) => {
-  if (!ADMIN_SET.has(String(msg.from.id))) return;
-  const totalFiles = await File.countDocuments();
-  const totalUsers = await User.countDocuments();
-  const today = new Date().toISOString().slice(0, 10);
-  const activeUsers = await Limit.countDocuments({ date: today });
+  const channels = await requiredChannels();
+  const results = await Promise.all(channels.map(channel => channelMembership(channel, userId)));
+  const missing = channels.filter((channel, i) => results[i] === 'missing' || (results[i] === 'error' && channel.strict));
+  if (!missing.length) return true;
 
-  await bot.sendMessage(msg.chat.id,
-    `📊 <b>Stats</b>\n\nFiles: ${totalFiles}\nTotal Users: ${totalUsers}\nActive Today: ${activeUsers}`,
-    { parse_mode: 'HTML' }
-  );
+  if (chatId) await sendJoinPrompt(chatId, missing, lang).catch(err => console.error('Join Prompt Error:', err.message));
+  return false;
+}
+
+// --- ANTI-FLOOD ---
+// Token buckets per user and action: `burst` requests at once, refilled at `perMin`.
+// Staff are never limited.
+const FLOOD_LIMITS = {
+  search: { burst: 5, perMin: 20 }, // Text searches and ID lookups
+  inline: { burst: 10, perMin: 60 }, // Inline queries arrive while typing
+  page: { burst: 8, perMin: 40 }, // PAGE:, series and other browsing taps
+  get: { burst: 5, perMin: 20 }, // GET:, BUNDLE:, SENDSEASON:
+  fav: { burst: 5, perMin: 15 }, // FAV: and SHARE:
+  join: { burst: 3, perMin: 6 } // CHECK_JOIN asks Telegram every time
+};
+const FLOOD_STRIKE_WINDOW_SEC = 600;
+const FLOOD_MUTE_STRIKES = 10; // Throttled requests within the window before a mute
+const FLOOD_MUTE_BASE_MS = 5 * 60000; // Doubles with each mute in the past day
+const FLOOD_MUTE_MAX_MS = 24 * 3600000;
+const MUTES_KEY = 'mutes'; // Sorted set of muted user IDs, scored by when the mute ends
+
+// KEYS: bucket, mute. ARGV: burst, tokens per ms, now (ms).
+// Returns [1, ms left] while muted, else [0, ms until a token is free] (0 = allowed, token taken).
+redis.defineCommand('takeFloodToken', {
+  numberOfKeys: 2,
+  lua: `
+    local muted = redis.call('PTTL', KEYS[2])
+    if muted > 0 then return {1, muted} end
+    local burst, rate, now = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3])
+    local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+    local tokens = tonumber(bucket[1]) or burst
+    local ts = tonumber(bucket[2]) or now
+    tokens = math.min(burst, tokens + math.max(now - ts, 0) * rate)
+    local wait = 0
+    if tokens >= 1 then tokens = tokens - 1 else wait = math.ceil((1 - tokens) / rate) end
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+    redis.call('PEXPIRE', KEYS[1], math.ceil(burst / rate))
+    return {0, wait}`
 });
 
-// [FEATURE 2] Admin Broadcast Command
-bot.onText(/\/broadcast(?: (.+))?/, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const fromId = String(msg.from.id);
+// Null when the request may go ahead, else { muted, retryMs }. Never throws: a Redis hiccup lets it through.
+async function checkFlood(userId, action) {
+  userId = String(userId);
+  try {
+    if (await hasRole(userId, 'moderator')) return null;
+    const { burst, perMin } = FLOOD_LIMITS[action];
+    const [muted, retryMs] = await redis.takeFloodToken(`flood:${action}:${userId}`, `mute:${userId}`, burst, perMin / 60000, Date.now());
+    if (muted) return { muted: true, retryMs };
+    if (!retryMs) return null;
 
-  if (!ADMIN_SET.has(fromId)) return;
+    const strikesKey = `flood:strikes:${userId}`;
+    const strikes = await redis.incr(strikesKey);
+    if (strikes === 1) await redis.expire(strikesKey, FLOOD_STRIKE_WINDOW_SEC);
+    if (strikes < FLOOD_MUTE_STRIKES) return { muted: false, retryMs };
+    return { muted: true, retryMs: await muteUser(userId, strikes) };
+  } catch (err) {
+    console.error('Flood Check Error:', err.message);
+    return null;
+  }
+}
 
-  const text = match[1];
-  const replyMsg = msg.reply_to_message;
+async function muteUser(userId, strikes) {
+  const countKey = `flood:mutes:${userId}`;
+  const mutes = await redis.incr(countKey);
+  if (mutes === 1) await redis.expire(countKey, 86400);
+  const ms = Math.min(FLOOD_MUTE_BASE_MS * 2 ** (mutes - 1), FLOOD_MUTE_MAX_MS);
+  await redis.multi()
+    .set(`mute:${userId}`, '1', 'PX', ms)
+    .zadd(MUTES_KEY, Date.now() + ms, userId)
+    .del(`flood:strikes:${userId}`)
+    .exec();
+  await audit('system', 'user.mute', userId, { minutes: Math.round(ms / 60000), strikes });
+  return ms;
+}
 
-  if (!text && !replyMsg) {
-    return bot.sendMessage(chatId, '⚠️ Usage:\n1. <code>/broadcast Message</code>\n2. Reply to a message with <code>/broadcast</code>', { parse_mode: 'HTML' });
+async function unmuteUser(userId) {
+  const [[, removed]] = await redis.multi().del(`mute:${userId}`).zrem(MUTES_KEY, userId).del(`flood:strikes:${userId}`).exec();
+  return removed > 0;
+}
+
+function floodText(lang, { muted, retryMs }) {
+  return t(lang, muted ? 'flood.muted' : 'flood.slowDown', { delay: formatDelay(Math.max(retryMs, 1000)) });
+}
+
+// For chats: warns once per cooldown (the warnings would otherwise be a flood of their own) and
+// returns true when the update should be dropped
+async function floodBlocked(chatId, userId, action) {
+  const block = await checkFlood(userId, action);
+  if (!block) return false;
+  if (await redis.set(`flood:warned:${userId}`, '1', 'PX', block.retryMs, 'NX')) {
+    const { lang } = await getAccess(userId);
+    const temp = await bot.sendMessage(chatId, floodText(lang, block)).catch(() => null);
+    if (temp) autoDeleteMessage(chatId, temp.message_id, AUTO_DELETE_MS.notice);
   }
+  return true;
+}
 
-  const users = await User.find({}, { userId: 1 }).lean();
-  let success = 0, blocked = 0;
+// --- RELEASE METADATA ---
+function reviewUploadText(pending) {
+  const details = formatReleaseInfo(pending);
+  const duplicates = (pending.duplicates || []).map(d => `• <code>${d.customId}</code> ${escapeHtml(d.clean_title)} (${d.file_size}) - ${d.reason}`);
+  return `📝 <b>Review Upload</b>\n\n${pending.review_note ? `${pending.review_note}\n\n` : ''}Name: ${escapeHtml(pending.clean_title)}\nSize: ${pending.file_size}` +
+    (details ? `\n${details}` : '') +
+    (pending.series_title ? `\nSeries: ${escapeHtml(pending.series_title)}` : '') +
+    (duplicates.length ? `\n\n⚠️ <b>Possible duplicates:</b>\n${duplicates.join('\n')}` : '') +
+    `\n\n<i>Reply with "field: value" lines to correct (title, series, year, season, episode, quality, source, codec, audio, subs).</i>` +
+    `\n\nConfirm save?`;
+}
 
-  const sentMsg = await bot.sendMessage(chatId, `🚀 Broadcasting to ${users.length} users...`);
+function reviewUploadKeyboard(pending) {
+  return {
+    inline_keyboard: [
+      [{ text: '✅ Save', callback_data: `CONFIRM:${pending._id}` }, { text: '❌ Cancel', callback_data: `CANCEL:${pending._id}` }]
+    ]
+  };
+}
 
-  // Broadcast Loop
-  for (const user of users) {
-    try {
-      if (replyMsg) {
-        // Copy message (supports images, videos, etc.)
-        await bot.copyMessage(user.userId, chatId, replyMsg.message_id);
-      } else {
-        // Send Text
-        await bot.sendMessage(user.userId, text, { parse_mode: 'HTML' });
-      }
-      success++;
-    } catch (err) {
-      // Error 403 means user blocked bot
-      if (err.response && err.response.statusCode === 403) blocked++;
+// Files indexed before release metadata existed have no `languages` array yet
+async function backfillReleaseInfo() {
+  const cursor = File.find({ languages: { $exists: false } }, { file_name: 1 }).lean().cursor();
+  let ops = [];
+  for await (const f of cursor) {
+    ops.push({ updateOne: { filter: { _id: f._id }, update: { $set: parseReleaseInfo(f.file_name || '') } } });
+    if (ops.length >= 500) {
+      await File.bulkWrite(ops);
+      ops = [];
     }
-    // Tiny delay to prevent 429 errors
-    await new Promise(r => setTimeout(r, 50));
   }
+  if (ops.length) await File.bulkWrite(ops);
+}
 
-  bot.editMessageText(`✅ <b>Broadcast Complete</b>\n\nSent: ${success}\nBlocked/Failed: ${blocked}`, {
-    chat_id: chatId,
-    message_id: sentMsg.message_id,
-    parse_mode: 'HTML'
-  });
-});
+backfillReleaseInfo().catch(err => console.error('Release Backfill Error:', err.message));
 
-bot.onText(/\/recent/, async (msg) => {
-  await saveUser(msg);
-  if (!await verifyJoin(msg.chat.id, String(msg.from.id))) return;
+// --- SEARCH ENGINE ---
+// Candidates are fetched by trigram overlap on `search_grams`, then ranked in JS:
+// relevance (exact > prefix > typo > substring), then downloads, then recency.
+const SEARCH_CANDIDATES = 300;
+const SEARCH_MAX_RESULTS = 200;
 
-  const files = await File.find().sort({ uploaded_at: -1 }).limit(10).lean();
-  if (!files.length) return bot.sendMessage(msg.chat.id, 'No files yet.');
+async function searchFiles(text) {
+  const keywords = searchTerms(text);
+  if (!keywords.length) return { keywords, results: [], candidates: [] };
 
-  const keyboard = files.map(f => [{
-    text: `📂 ${f.file_size} | ${f.clean_title}`,
-    callback_data: `GET:${f.customId}`
-  }]);
+  const grams = [...new Set(keywords.flatMap(trigrams))];
+  const candidates = await File.aggregate([
+    { $match: { search_grams: { $in: grams } } },
+    {
+      $project: {
+        customId: 1, attributes: 1, downloads: 1, uploaded_at: 1, resolution: 1, year: 1, languages: 1, seriesId: 1,
+        overlap: { $size: { $setIntersection: ['$search_grams', grams] } }
+      }
+    },
+    { $sort: { overlap: -1, downloads: -1 } },
+    { $limit: SEARCH_CANDIDATES }
+  ]);
 
-  const sent = await bot.sendMessage(msg.chat.id, '🆕 <b>Recent Uploads:</b>', {
-    parse_mode: 'HTML',
-    reply_markup: { inline_keyboard: keyboard }
-  });
-  autoDeleteMessage(bot, msg.chat.id, sent.message_id);
-});
+  const ranked = rankFiles(keywords, candidates).slice(0, SEARCH_MAX_RESULTS);
+  const results = ranked.map(f => ({
+    customId: f.customId, seriesId: f.seriesId, resolution: f.resolution, year: f.year, languages: f.languages
+  }));
+  return { keywords, results, candidates };
+}
 
-bot.onText(/\/trending/, async (msg) => {
-  await saveUser(msg);
-  if (!await verifyJoin(msg.chat.id, String(msg.from.id))) return;
+// Episodes of the same show collapse into one series row at the position of the best-ranked episode
+function groupSeries(results) {
+  const entries = [];
+  const seen = new Set();
+  for (const r of results) {
+    if (r.bundleId) entries.push({ bundleId: r.bundleId });
+    else if (!r.seriesId) entries.push({ customId: r.customId });
+    else if (!seen.has(r.seriesId)) {
+      seen.add(r.seriesId);
+      entries.push({ seriesId: r.seriesId });
+    }
+  }
+  return entries;
+}
 
-  const files = await File.find().sort({ downloads: -1 }).limit(10).lean();
-  if (!files.length) return bot.sendMessage(msg.chat.id, 'No trending files.');
+async function searchResultRows(entries) {
+  const [files, series, bundles] = await Promise.all([
+    File.find({ customId: { $in: entries.map(e => e.customId).filter(Boolean) } }).lean(),
+    Series.find({ seriesId: { $in: entries.map(e => e.seriesId).filter(Boolean) } }).lean(),
+    Bundle.find({ bundleId: { $in: entries.map(e => e.bundleId).filter(Boolean) } }).lean()
+  ]);
+  const fileById = new Map(files.map(f => [f.customId, f]));
+  const seriesById = new Map(series.map(s => [s.seriesId, s]));
+  const bundleById = new Map(bundles.map(b => [b.bundleId, b]));
 
-  const keyboard = files.map(f => [{
-    text: `🔥 ${f.file_size} | ${f.clean_title}`,
-    callback_data: `GET:${f.customId}`
-  }]);
+  return entries.map(e => {
+    if (e.bundleId) {
+      const bundle = bundleById.get(e.bundleId);
+      return bundle && [{ text: `📦 ${bundle.items.length} files | ${bundle.title}`, callback_data: `BUNDLE:${bundle.bundleId}` }];
+    }
+    if (e.seriesId) {
+      const show = seriesById.get(e.seriesId);
+      return show && [{ text: `📺 ${show.title}`, callback_data: `SERIES:${show.seriesId}` }];
+    }
+    const f = fileById.get(e.customId);
+    return f && [{ text: `📂 ${f.file_size} | ${f.clean_title}`, callback_data: `GET:${f.customId}` }];
+  }).filter(Boolean);
+}
 
-  const sent = await bot.sendMessage(msg.chat.id, '📈 <b>Top Trending:</b>', {
-    parse_mode: 'HTML',
-    reply_markup: { inline_keyboard: keyboard }
-  });
-  autoDeleteMessage(bot, msg.chat.id, sent.message_id);
-});
+// Inline filter buttons offered under the results, keyed by the FILTER:<key>:<value> callback
+const SEARCH_FACETS = {
+  res: { field: 'resolution', label: v => `🎞 ${v} only` },
+  year: { field: 'year', label: v => `📅 ${v}` },
+  lang: { field: 'languages', label: v => `🗣 ${capitalize(v)}` }
+};
 
-bot.onText(/\/favorites/, async (msg) => {
-  await saveUser(msg);
-  if (!await verifyJoin(msg.chat.id, String(msg.from.id))) return;
+function matchesFilters(result, filters) {
+  return Object.entries(filters).every(([key, value]) => {
+    const actual = result[SEARCH_FACETS[key].field];
+    return Array.isArray(actual) ? actual.includes(value) : String(actual) === value;
+  });
+}
 
-  const userId = String(msg.from.id);
-  const favs = await Favorite.find({ userId }).lean();
-  if (!favs.length) {
-    return bot.sendMessage(msg.chat.id, '⭐ You have no favorite files yet.\nClick "Favorite" on a file to save it.');
+// One button per facet: the active filter (to clear it) or the most common value that would narrow the list
+function facetRow(results, filters) {
+  const row = [];
+  for (const [key, facet] of Object.entries(SEARCH_FACETS)) {
+    if (filters[key]) {
+      row.push({ text: `✖ ${facet.label(filters[key])}`, callback_data: `FILTER:${key}:` });
+      continue;
+    }
+    const counts = new Map();
+    for (const r of results) {
+      for (const v of [].concat(r[facet.field] ?? [])) counts.set(String(v), (counts.get(String(v)) || 0) + 1);
+    }
+    const [top] = [...counts].filter(([, n]) => n < results.length).sort((a, b) => b[1] - a[1]);
+    if (top) row.push({ text: facet.label(top[0]), callback_data: `FILTER:${key}:${top[0]}` });
   }
+  return row;
+}
 
-  const fileIds = favs.map(f => f.customId);
-  const files = await File.find({ customId: { $in: fileIds } }).lean();
+async function renderSearchPage(session, page) {
+  const filters = session.filters || {};
+  const lang = session.lang || DEFAULT_LANG;
+  const results = session.results.filter(r => matchesFilters(r, filters));
+  const entries = groupSeries(results);
+  const keyboard = await searchResultRows(entries.slice(page * RESULTS_PER_PAGE_NUM, (page + 1) * RESULTS_PER_PAGE_NUM));
 
-  if (!files.length) {
-    return bot.sendMessage(msg.chat.id, '⭐ Your favorites list is empty (files may have been deleted).');
-  }
+  const maxPage = Math.max(Math.ceil(entries.length / RESULTS_PER_PAGE_NUM) - 1, 0);
+  const navRow = [];
+  if (page > 0) navRow.push({ text: t(lang, 'search.prev'), callback_data: `PAGE:${page - 1}` });
+  if (page < maxPage) navRow.push({ text: page === 0 ? t(lang, 'search.firstPage', { pages: maxPage + 1 }) : t(lang, 'search.next'), callback_data: `PAGE:${page + 1}` });
+  if (navRow.length) keyboard.push(navRow);
 
-  const keyboard = files.slice(0, 10).map(f => [{
-    text: `⭐ ${f.file_size} | ${f.clean_title}`,
-    callback_data: `GET:${f.customId}`
-  }]);
+  const filterRow = facetRow(results, filters);
+  if (filterRow.length) keyboard.push(filterRow);
 
-  const sent = await bot.sendMessage(msg.chat.id, `❤️ <b>Your Favorites (${files.length}):</b>`, {
-    parse_mode: 'HTML',
-    reply_markup: { inline_keyboard: keyboard }
-  });
-  autoDeleteMessage(bot, msg.chat.id, sent.message_id);
-});
+  return { total: entries.length, maxPage, keyboard };
+}
 
-bot.onText(/\/myaccount/, async (msg) => {
-  await saveUser(msg);
-  const used = await getUserLimitCount(String(msg.from.id));
-  const remaining = Math.max(DAILY_LIMIT_NUM - used, 0);
+// Private chats keep one search per user. In groups every results message has its own session,
+// so anyone in the group can page through it.
+function searchSessionKey(message, fromId) {
+  return message.chat.type === 'private' ? `search:${fromId}` : `search:${message.chat.id}:${message.message_id}`;
+}
 
-  await bot.sendMessage(msg.chat.id,
-    `👤 <b>Your Account</b>\n\n✅ Used: ${used}\n⏳ Remaining: ${remaining}\n🎯 Limit: ${DAILY_LIMIT_NUM}`,
-    { parse_mode: 'HTML' }
-  );
-});
+// Sends the first results page (or a "Did you mean…" hint) and returns the hit count
+async function sendSearchResults(chatId, fromId, text, deleteMs = AUTO_DELETE_MS.results) {
+  const { keywords, results: fileResults, candidates } = await searchFiles(text);
+  if (!keywords.length) return 0;
+  const { lang } = await getAccess(fromId);
 
-// --- ADMIN UPLOAD & SEARCH HANDLER ---
-bot.on('message', async (msg) => {
-  const chatId = msg.chat.id;
-  const fromId = String(msg.from.id);
-  const text = msg.text?.trim();
+  // Matching bundles go first; the parts of a split movie then only show through their bundle
+  const bundles = await searchBundles(keywords);
+  const parts = new Set(bundles.filter(b => b.kind === 'parts').flatMap(b => b.items));
+  const results = [...bundles.map(b => ({ bundleId: b.bundleId })), ...fileResults.filter(r => !parts.has(r.customId))];
+  track('search', fromId, { query: keywords.join(' '), results: results.length });
 
-  if (text && text.startsWith('/')) return; // Ignore commands
+  if (!results.length) {
+    const suggestion = suggestQuery(keywords, candidates);
+    await redis.set(`lastmiss:${fromId}`, text, 'EX', 600); // For the "Request this" button
+    const keyboard = [[{ text: t(lang, 'search.requestThis'), callback_data: 'REQ' }]];
+    let message = t(lang, 'search.none', { query: escapeHtml(text) });
 
-  // 1. Handle Admin File Upload (Bypasses Force Join)
-  if (ADMIN_SET.has(fromId) && (msg.video || msg.document)) {
-    const file = msg.video || msg.document;
-    const rawName = msg.caption || file.file_name || "Unknown";
-    const clean = cleanFileName(rawName);
-    const size = formatSize(file.file_size);
-    const attrs = generateAttributes(clean);
-
-    const pending = await Pending.create({
-      adminId: fromId,
-      chatId: String(chatId),
-      messageId: msg.message_id,
-      file_id: file.file_id,
-      file_name: rawName,
-      type: msg.video ? 'video' : 'document',
-      clean_title: clean,
-      attributes: attrs,
-      file_size: size
-    });
+    if (suggestion) {
+      await redis.set(`suggest:${fromId}`, suggestion, 'EX', 300);
+      message += `\n\n${t(lang, 'search.didYouMean', { suggestion: escapeHtml(suggestion) })}`;
+      keyboard.unshift([{ text: t(lang, 'search.searchFor', { suggestion }), callback_data: 'DYM' }]);
+    }
 
-    await bot.sendMessage(chatId,
-      `📝 <b>Review Upload</b>\n\nName: ${clean}\nSize: ${size}\n\nConfirm save?`,
-      {
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: [
-            [{ text: '✅ Save', callback_data: `CONFIRM:${pending._id}` }, { text: '❌ Cancel', callback_data: `CANCEL:${pending._id}` }]
-          ]
-        }
-      }
-    );
-    return;
+    const sent = await bot.sendMessage(chatId, message, { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+    autoDeleteMessage(chatId, sent.message_id, deleteMs);
+    return 0;
   }
 
-  // 2. Handle User Search
-  if (text) {
-    await saveUser(msg); // Track User
-    // [FEATURE 1] Check Force Join Before Search
-    if (!await verifyJoin(chatId, fromId)) return;
-
-    // A. Search by ID
-    if (/^F\d{4}$/i.test(text)) {
-      const customId = text.toUpperCase();
-      const file = await File.findOne({ customId }).lean();
-
-      if (!file) {
-        const temp = await bot.sendMessage(chatId, '❌ File not found.');
-        autoDeleteMessage(bot, chatId, temp.message_id, 3000);
-        return;
-      }
-
-      const used = await getUserLimitCount(fromId);
-      if (used >= DAILY_LIMIT_NUM) return bot.sendMessage(chatId, '⚠️ Daily limit reached.');
+  const session = { text, results, filters: {}, lang };
+  const { total, keyboard } = await renderSearchPage(session, 0);
+  const sent = await bot.sendMessage(chatId, t(lang, 'search.found', { count: total, query: escapeHtml(text) }), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+  await redis.set(searchSessionKey(sent, fromId), JSON.stringify(session), 'EX', 300);
+  autoDeleteMessage(chatId, sent.message_id, deleteMs);
+  return results.length;
+}
 
-      await incrementAndGetLimit(fromId);
-      await File.updateOne({ _id: file._id }, { $inc: { downloads: 1 } });
+// Files indexed before the search engine existed have no grams yet
+async function backfillSearchGrams() {
+  const cursor = File.find({ search_grams: { $exists: false } }, { attributes: 1 }).lean().cursor();
+  let ops = [];
+  for await (const f of cursor) {
+    ops.push({ updateOne: { filter: { _id: f._id }, update: { $set: { search_grams: generateSearchGrams(f.attributes || []) } } } });
+    if (ops.length >= 500) {
+      await File.bulkWrite(ops);
+      ops = [];
+    }
+  }
+  if (ops.length) await File.bulkWrite(ops);
+}
 
-      const caption = `🎬 <b>${file.clean_title}</b>\n📦 ${file.file_size}\n🆔 <code>${file.customId}</code>\n\n⚠️ <i>Auto-deletes in 60s</i>`;
-      let sent;
-      const opts = { caption, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❤️ Favorite', callback_data: `FAV:${file.customId}` }]] } };
+backfillSearchGrams().catch(err => console.error('Search Backfill Error:', err.message));
 
-      if (file.type === 'video') sent = await bot.sendVideo(chatId, file.file_id, opts);
-      else sent = await bot.sendDocument(chatId, file.file_id, opts);
+// --- FILE DELIVERY ---
 
-      autoDeleteMessage(bot, chatId, sent.message_id, 60000);
-      return;
-    }
+function fileDeleteMs(file) {
+  return file.autoDeleteSec != null ? file.autoDeleteSec * 1000 : AUTO_DELETE_MS.file;
+}
 
-    // B. Keyword Search
-    const keywords = text.toLowerCase().split(' ').filter(Boolean);
-    if (!keywords.length) return;
+// `deleteMs` overrides the file's own auto-delete delay (groups set their own)
+async function sendFile(chatId, file, lang = DEFAULT_LANG, deleteMs = fileDeleteMs(file)) {
+  const caption = `🎬 <b>${escapeHtml(file.clean_title)}</b>\n📦 ${file.file_size}\n🆔 <code>${file.customId}</code>${deleteMs ? `\n\n${t(lang, 'file.autoDeletes', { delay: formatDelay(deleteMs) })}` : ''}`;
+  const opts = {
+    caption,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: t(lang, 'file.favorite'), callback_data: `FAV:${file.customId}` }, { text: t(lang, 'file.share'), callback_data: `SHARE:${file.customId}` }]] }
+  };
 
-    const query = { attributes: { $all: keywords } };
-    const total = await File.countDocuments(query);
-    const files = await File.find(query).sort({ uploaded_at: -1 }).limit(RESULTS_PER_PAGE_NUM).lean();
+  let sent;
+  if (file.type === 'video') sent = await bot.sendVideo(chatId, file.file_id, opts);
+  else sent = await bot.sendDocument(chatId, file.file_id, opts);
 
-    if (!files.length) {
-      const sent = await bot.sendMessage(chatId, `🔍 No results for "<b>${text}</b>"`, { parse_mode: 'HTML' });
-      autoDeleteMessage(bot, chatId, sent.message_id, 5000);
-      return;
-    }
+  autoDeleteMessage(chatId, sent.message_id, deleteMs);
+  attachRecommendations(chatId, sent.message_id, file, opts.reply_markup.inline_keyboard)
+    .catch(err => console.error('Recommendation Row Error:', err.message));
+  return sent;
+}
 
-    const searchKey = `search:${fromId}`;
-    await redis.set(searchKey, JSON.stringify(keywords), 'EX', 300);
+// --- SERIES ---
 
-    const keyboard = files.map(f => [{
-      text: `📂 ${f.file_size} | ${f.clean_title}`,
-      callback_data: `GET:${f.customId}`
-    }]);
+function seriesKey(title) {
+  return generateAttributes(cleanFileName(title)).map(normalizeTerm).filter(Boolean).join(' ');
+}
 
-    if (total > RESULTS_PER_PAGE_NUM) {
-      keyboard.push([{ text: `Page 1 of ${Math.ceil(total / RESULTS_PER_PAGE_NUM)} ➡️`, callback_data: `PAGE:1` }]);
-    }
+async function findOrCreateSeries(title) {
+  const key = seriesKey(title);
+  if (!key) return null;
 
-    const sent = await bot.sendMessage(chatId, `🔍 Found <b>${total}</b> results for "<b>${text}</b>":`, {
-      parse_mode: 'HTML',
-      reply_markup: { inline_keyboard: keyboard }
-    });
+  const existing = await Series.findOne({ key }).lean();
+  if (existing) return existing;
 
-    autoDeleteMessage(bot, chatId, sent.message_id);
-    autoDeleteMessage(bot, chatId, msg.message_id, 2000);
+  const seriesId = await nextSequence('series', 'S');
+  try {
+    return (await Series.create({ seriesId, title, key })).toObject();
+  } catch (err) {
+    if (err.code === 11000) return Series.findOne({ key }).lean(); // Created concurrently by another upload
+    throw err;
   }
+}
+
+// Episodes without a parsed season are listed under season 0 ("Other")
+function seasonLabel(season, lang) {
+  return season ? t(lang, 'series.season', { season }) : t(lang, 'series.other');
+}
+
+async function seasonsView(seriesId, lang) {
+  const show = await Series.findOne({ seriesId }).lean();
+  if (!show) return null;
+
+  const seasons = await File.aggregate([
+    { $match: { seriesId } },
+    { $group: { _id: { $ifNull: ['$season', 0] }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const keyboard = [];
+  for (let i = 0; i < seasons.length; i += 2) {
+    keyboard.push(seasons.slice(i, i + 2).map(s => ({
+      text: `${seasonLabel(s._id, lang)} (${s.count})`,
+      callback_data: `SEASON:${seriesId}:${s._id}:0`
+    })));
+  }
+  keyboard.push([{ text: t(lang, 'series.backToResults'), callback_data: 'PAGE:0' }]);
+
+  return { text: t(lang, 'series.seasons', { title: escapeHtml(show.title) }), keyboard };
+}
+
+function seasonQuery(seriesId, season) {
+  return season ? { seriesId, season } : { seriesId, season: { $in: [null, 0] } };
+}
+
+async function episodesView(seriesId, season, page, lang) {
+  const show = await Series.findOne({ seriesId }).lean();
+  if (!show) return null;
+
+  const query = seasonQuery(seriesId, season);
+  const total = await File.countDocuments(query);
+  const files = await File.find(query)
+    .sort({ episode: 1, clean_title: 1 })
+    .skip(page * RESULTS_PER_PAGE_NUM)
+    .limit(RESULTS_PER_PAGE_NUM)
+    .lean();
+
+  const keyboard = files.map(f => [{
+    text: `${f.episode ? `E${String(f.episode).padStart(2, '0')}` : '📂'} | ${f.file_size} | ${f.clean_title}`,
+    callback_data: `GET:${f.customId}`
+  }]);
+
+  const navRow = [];
+  const maxPage = Math.max(Math.ceil(total / RESULTS_PER_PAGE_NUM) - 1, 0);
+  if (page > 0) navRow.push({ text: t(lang, 'search.prev'), callback_data: `SEASON:${seriesId}:${season}:${page - 1}` });
+  if (page < maxPage) navRow.push({ text: t(lang, 'search.next'), callback_data: `SEASON:${seriesId}:${season}:${page + 1}` });
+  if (navRow.length) keyboard.push(navRow);
+
+  keyboard.push([
+    { text: t(lang, 'series.sendSeason', { count: total }), callback_data: `SENDSEASON:${seriesId}:${season}` },
+    { text: t(lang, 'series.backToSeasons'), callback_data: `SERIES:${seriesId}` }
+  ]);
+
+  const text = t(lang, 'series.episodes', { title: escapeHtml(show.title), season: seasonLabel(season, lang), page: page + 1, pages: maxPage + 1 });
+  return { text, keyboard };
+}
+
+// Like bundlePlan(), for "send whole season"
+async function seasonPlan(userId, seriesId, season) {
+  const files = await File.find(seasonQuery(seriesId, season)).sort({ episode: 1, clean_title: 1 }).lean();
+  if (!files.length) return { error: 'file.deleted' };
+
+  const [used, { limit }] = await Promise.all([getUserLimitCount(userId), getAccess(userId)]);
+  const remaining = limit - used;
+  if (remaining <= 0) return { error: 'limit.exceeded' };
+  const batch = files.slice(0, remaining);
+  if (!await consumeQuota(userId, limit, batch.length)) return { error: 'limit.exceeded' };
+  return { files, batch };
+}
+
+async function deliverSeason(chatId, userId, { files, batch }, lang, { deleteMs } = {}) {
+  for (const file of batch) {
+    await countDownload(userId, file.customId, 'season');
+    await sendFile(chatId, file, lang, deleteMs);
+    // Stay under Telegram's per-chat flood limit
+    await new Promise(r => setTimeout(r, 300));
+  }
+
+  if (batch.length < files.length) {
+    await bot.sendMessage(chatId, t(lang, 'limit.partialSeason', { sent: batch.length, count: files.length }));
+  }
+}
+
+// --- BUNDLES ---
+// Parts of one movie count as a single download against the daily limit. A collection counts one per
+// file and is sent in order until the limit runs out, like "send whole season".
+const MAX_BUNDLE_ITEMS = 50;
+const MEDIA_GROUP_MAX = 10; // Telegram's album size
+const BUNDLE_MIN_SCORE = 0.6; // Bundles are listed above files, so they need a close match
+
+async function searchBundles(keywords) {
+  const grams = [...new Set(keywords.flatMap(trigrams))];
+  const candidates = await Bundle.find({ search_grams: { $in: grams } }, { bundleId: 1, kind: 1, items: 1, attributes: 1, downloads: 1 })
+    .limit(SEARCH_CANDIDATES).lean();
+  return candidates
+    .map(b => ({ b, score: scoreFile(keywords, b) }))
+    .filter(r => r.score >= BUNDLE_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || (b.b.downloads || 0) - (a.b.downloads || 0))
+    .slice(0, 5)
+    .map(r => r.b);
+}
+
+async function createBundle({ title, kind, items, createdBy }) {
+  const attributes = fileAttributes(cleanFileName(title));
+  const bundleId = await nextSequence('bundle', 'B');
+  await Bundle.create({ bundleId, title, kind, items, attributes, search_grams: generateSearchGrams(attributes), created_by: createdBy });
+  return bundleId;
+}
+
+// "Movie Part 1" -> "Movie"
+function defaultBundleTitle(file) {
+  return file.clean_title.replace(/\b(part|pt|cd|disc|disk)\s*\d+\b/gi, '').replace(/\s+/g, ' ').trim() || file.clean_title;
+}
+
+// Files in bundle order. Merged files resolve through their aliases; deleted ones drop out.
+async function bundleFiles(bundle) {
+  const files = await File.find({ $or: [{ customId: { $in: bundle.items } }, { aliases: { $in: bundle.items } }] }).lean();
+  const byId = new Map(files.flatMap(f => [[f.customId, f], ...(f.aliases || []).map(alias => [alias, f])]));
+  const seen = new Set();
+  return bundle.items.map(id => byId.get(id)).filter(f => f && !seen.has(f.customId) && seen.add(f.customId));
+}
+
+// What this user may receive right now, with the quota already taken: { files, batch } or { error } (an i18n key)
+async function bundlePlan(userId, bundle) {
+  const files = await bundleFiles(bundle);
+  if (!files.length) return { error: 'file.deleted' };
+
+  const [used, { limit }] = await Promise.all([getUserLimitCount(userId), getAccess(userId)]);
+  const remaining = limit - used;
+  if (remaining <= 0) return { error: 'limit.exceeded' };
+  const batch = bundle.kind === 'parts' ? files : files.slice(0, remaining);
+  if (!await consumeQuota(userId, limit, bundle.kind === 'parts' ? 1 : batch.length)) return { error: 'limit.exceeded' };
+  return { files, batch };
+}
+
+async function deliverBundle(chatId, userId, bundle, { files, batch }, lang, { deleteMs, source = 'bundle' } = {}) {
+  for (const f of batch) await countDownload(userId, f.customId, source);
+  await Bundle.updateOne({ _id: bundle._id }, { $inc: { downloads: 1 } });
+
+  const mediaType = f => f.type === 'video' ? 'video' : 'document';
+  if (batch.length > 1 && batch.length <= MEDIA_GROUP_MAX && new Set(batch.map(mediaType)).size === 1) {
+    const messages = await bot.sendMediaGroup(chatId, batch.map((f, i) => ({
+      type: mediaType(f),
+      media: f.file_id,
+      caption: `${i + 1}/${batch.length} 🎬 <b>${escapeHtml(f.clean_title)}</b>\n📦 ${f.file_size}\n🆔 <code>${f.customId}</code>`,
+      parse_mode: 'HTML'
+    })));
+    messages.forEach((m, i) => autoDeleteMessage(chatId, m.message_id, deleteMs ?? fileDeleteMs(batch[i])));
+  } else {
+    for (const f of batch) {
+      await sendFile(chatId, f, lang, deleteMs);
+      await new Promise(r => setTimeout(r, 300)); // Stay under Telegram's per-chat flood limit
+    }
+  }
+
+  // Albums can't carry buttons, so the bundle's favorite button comes in a closing message
+  const summaryMs = deleteMs ?? AUTO_DELETE_MS.file;
+  const summary = await bot.sendMessage(chatId,
+    t(lang, 'bundle.summary', { title: escapeHtml(bundle.title), id: bundle.bundleId, count: files.length }) +
+    (summaryMs ? `\n\n${t(lang, 'file.autoDeletes', { delay: formatDelay(summaryMs) })}` : ''),
+    { parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: t(lang, 'file.favorite'), callback_data: `FAV:${bundle.bundleId}` }, { text: t(lang, 'file.share'), callback_data: `SHARE:${bundle.bundleId}` }]] } });
+  autoDeleteMessage(chatId, summary.message_id, summaryMs);
+
+  if (batch.length < files.length) {
+    await bot.sendMessage(chatId, t(lang, 'limit.partialBundle', { sent: batch.length, count: files.length }));
+  }
+}
+
+// Uploads confirmed while an admin has a /bundle start draft open are collected into it
+async function appendToBundleDraft(adminId, customId) {
+  const key = `bundledraft:${adminId}`;
+  const draft = JSON.parse(await redis.get(key) || 'null');
+  if (!draft || draft.items.length >= MAX_BUNDLE_ITEMS) return null;
+  draft.items.push(customId);
+  await redis.set(key, JSON.stringify(draft), 'EX', 3600);
+  return draft;
+}
+
+// Sends a file (F0012), bundle (B0001) or whole season (S0001-2, from deep links) by ID.
+// Returns null when `id` is none of these, else the outcome: 'sent' or the i18n key of the error
+// that was replied.
+async function deliverById(chatId, userId, id, lang, { deleteMs, source } = {}) {
+  const notice = async key => {
+    const temp = await bot.sendMessage(chatId, t(lang, key));
+    autoDeleteMessage(chatId, temp.message_id, AUTO_DELETE_MS.notice);
+    return key;
+  };
+
+  if (/^F\d{4}$/i.test(id)) {
+    const file = await findFileById(id.toUpperCase());
+    if (!file) return notice('file.notFound');
+
+    const { limit } = await getAccess(userId);
+    if (!await consumeQuota(userId, limit)) {
+      await bot.sendMessage(chatId, t(lang, 'limit.reached'));
+      return 'limit.reached';
+    }
+    await countDownload(userId, file.customId, source || 'id');
+
+    await sendFile(chatId, file, lang, deleteMs);
+    return 'sent';
+  }
+
+  if (/^B\d{4}$/i.test(id)) {
+    const bundle = await Bundle.findOne({ bundleId: id.toUpperCase() }).lean();
+    const plan = bundle ? await bundlePlan(userId, bundle) : { error: 'file.notFound' };
+    if (plan.error) return notice(plan.error === 'limit.exceeded' ? 'limit.reached' : 'file.notFound');
+    await deliverBundle(chatId, userId, bundle, plan, lang, { deleteMs, source });
+    return 'sent';
+  }
+
+  const season = id.match(/^(S\d{4})-(\d+)$/i);
+  if (season) {
+    const plan = await seasonPlan(userId, season[1].toUpperCase(), Number(season[2]));
+    if (plan.error) return notice(plan.error === 'limit.exceeded' ? 'limit.reached' : 'file.notFound');
+    await deliverSeason(chatId, userId, plan, lang, { deleteMs });
+    return 'sent';
+  }
+  return null;
+}
+
+// --- SHARE LINKS ---
+// "🔗 Share" turns a file or bundle into a t.me/<bot>?start=<token> link. The token is the ID, the
+// sharer and an optional expiry, base64url-encoded and HMAC-signed so IDs can't be swapped or
+// links extended (see lib/share.js). Opening it goes through the same join and limit checks as any
+// other download.
+const SHARE_SECRET = SHARE_LINK_SECRET || crypto.createHash('sha256').update(`share:${TELEGRAM_TOKEN}`).digest('hex');
+
+async function shareMessage(chatId, userId, customId, lang, ttlMs) {
+  const item = customId.startsWith('B')
+    ? await Bundle.findOne({ bundleId: customId }, { title: 1 }).lean()
+    : await findFileById(customId);
+  if (!item) return null;
+
+  const title = item.title || item.clean_title;
+  const expiry = ttlMs ?? SHARE_TTL_MS;
+  const link = await startLink(signShareToken(SHARE_SECRET, item.customId || customId, userId, expiry));
+  track('share', userId, { customId: item.customId || customId });
+
+  return bot.sendMessage(chatId,
+    t(lang, 'share.link', { title: escapeHtml(title), link }) + (expiry ? `\n\n${t(lang, 'share.expires', { delay: formatDelay(expiry) })}` : ''),
+    {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: { inline_keyboard: [[{ text: t(lang, 'share.send'), url: `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(title)}` }]] }
+    });
+}
+
+// /start <token>: track the open and its outcome ('sent', 'invalid', 'expired', 'join' or the delivery error)
+async function openShareLink(msg, token) {
+  const userId = String(msg.from.id);
+  const share = readShareToken(SHARE_SECRET, token);
+  const outcome = source => share && track('share_open', userId, { customId: share.customId, sharedBy: share.sharedBy, source });
+
+  await saveUser(msg, share ? { source: 'share', customId: share.customId, sharedBy: share.sharedBy } : undefined);
+  const { lang } = await getAccess(userId);
+  if (!share || share.expired) {
+    outcome(share ? 'expired' : 'invalid');
+    return bot.sendMessage(msg.chat.id, t(lang, share ? 'share.expired' : 'share.invalid'));
+  }
+  if (!await verifyJoin(msg.chat.id, userId)) return outcome('join');
+  outcome(await deliverById(msg.chat.id, userId, share.customId, lang, { source: 'share' }));
+}
+
+// --- REFERRALS ---
+// /invite gives each user a t.me/<bot>?start=ref_<code> link. A referral only counts for someone new to
+// the bot who then passes verifyJoin (right away, or later through "I Have Joined"), and never for the
+// referrer themselves. Each one adds REFERRAL_BONUS daily downloads, up to REFERRAL_MAX_BONUS at a time.
+const REFERRAL_LEADERBOARD_DAYS = 30;
+
+async function referralCode(userId) {
+  const user = await User.findOne({ userId }, { referralCode: 1 }).lean();
+  if (user?.referralCode) return user.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = crypto.randomBytes(6).toString('base64url');
+    try {
+      const res = await User.updateOne({ userId, referralCode: { $exists: false } }, { $set: { referralCode: code } });
+      if (res.modifiedCount) return code;
+      return (await User.findOne({ userId }, { referralCode: 1 }).lean()).referralCode; // Set by a parallel /invite
+    } catch (err) {
+      if (err.code !== 11000) throw err; // Taken by someone else: draw another
+    }
+  }
+  throw new Error('Could not allocate a referral code');
+}
+
+// /start ref_<code>: remembers the referrer of a brand-new user until they pass verifyJoin
+async function recordReferral(userId, code, isNew) {
+  if (!isNew) return;
+  const referrer = await User.findOne({ referralCode: code }, { userId: 1 }).lean();
+  if (!referrer || referrer.userId === userId) return;
+  if ((await getAccess(referrer.userId)).role === 'banned') return;
+
+  await Referral.create({ referrerId: referrer.userId, userId }).catch(err => {
+    if (err.code !== 11000) throw err; // Already referred
+  });
+}
+
+// Called once the user is in; counts their pending referral (if any) and rewards the referrer
+async function completeReferral(userId) {
+  const referral = await Referral.findOneAndUpdate(
+    { userId, status: 'pending' },
+    { $set: { status: 'counted', counted_at: new Date() } },
+    { new: true }
+  ).lean();
+  if (!referral) return;
+
+  const referrer = await User.findOne({ userId: referral.referrerId }, { bonusGrants: 1 }).lean();
+  const bonus = Math.max(Math.min(REFERRAL_BONUS_NUM, REFERRAL_MAX_BONUS_NUM - activeBonus(referrer || {})), 0);
+  await Promise.all([
+    Referral.updateOne({ _id: referral._id }, { $set: { bonus } }),
+    User.updateOne({ userId }, { $set: { referredBy: referral.referrerId } })
+  ]);
+
+  if (bonus) {
+    // Expired grants are dropped first so the array doesn't grow forever
+    await User.updateOne({ userId: referral.referrerId }, { $pull: { bonusGrants: { until: { $lt: new Date() } } } });
+    const grant = { amount: bonus, referralOf: userId, ...(REFERRAL_BONUS_MS && { until: new Date(Date.now() + REFERRAL_BONUS_MS) }) };
+    await setUserAccess(referral.referrerId, { $push: { bonusGrants: grant } });
+  }
+
+  const { lang } = await getAccess(referral.referrerId);
+  const duration = REFERRAL_BONUS_MS ? t(lang, 'invite.forDays', { count: REFERRAL_BONUS_MS / 86400000 }) : '';
+  bot.sendMessage(referral.referrerId, bonus ? t(lang, 'invite.counted', { bonus, duration }) : t(lang, 'invite.countedMax', { max: REFERRAL_MAX_BONUS_NUM }), { parse_mode: 'HTML' })
+    .catch(() => { });
+}
+
+async function referralLeaderboard(limit = 10) {
+  const rows = await Referral.aggregate([
+    { $match: { status: 'counted', counted_at: { $gte: new Date(Date.now() - REFERRAL_LEADERBOARD_DAYS * 86400000) } } },
+    { $group: { _id: '$referrerId', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  const users = await User.find({ userId: { $in: rows.map(r => r._id) } }, { userId: 1, firstName: 1 }).lean();
+  const names = new Map(users.map(u => [u.userId, u.firstName]));
+  return rows.map(r => ({ userId: r._id, name: names.get(r._id) || '?', count: r.count }));
+}
+
+// --- GROUPS ---
+// In groups the bot only answers when mentioned, to /search, or to messages starting with the group's
+// prefix. Prefixes are plain text, not regexes: they're checked against every message in the group.
+// Files go to the user privately through a t.me/<bot>?start=<ID> link unless the group asked for
+// them to be posted there.
+const GROUP_PREFIX_MAX = 32;
+
+let botUsername;
+async function startLink(payload) {
+  botUsername ??= (await bot.getMe()).username;
+  return `https://t.me/${botUsername}?start=${payload}`;
+}
+
+async function getGroupSettings(chat) {
+  const chatId = String(chat.id);
+  const cacheKey = `group:${chatId}`;
+  const cached = await redis.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const group = await Group.findOneAndUpdate(
+    { chatId },
+    { $setOnInsert: { title: chat.title } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  await redis.set(cacheKey, JSON.stringify(group), 'EX', 300);
+  return group;
+}
+
+async function updateGroupSettings(chat, actorId, update, details) {
+  const chatId = String(chat.id);
+  const group = await Group.findOneAndUpdate(
+    { chatId },
+    { ...update, $set: { ...update.$set, title: chat.title, updated_by: String(actorId), updated_at: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  await redis.del(`group:${chatId}`);
+  await audit(actorId, 'group.settings', chatId, details);
+  return group;
+}
+
+// Auto-delete delay for everything the bot posts in the group; undefined = the usual defaults
+function groupDeleteMs(group) {
+  return group?.autoDeleteSec != null ? group.autoDeleteSec * 1000 : undefined;
+}
+
+function groupHour(group, now = new Date()) {
+  return Number(new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone: group.timezone || 'UTC' }).format(now));
+}
+
+function groupOpen(group) {
+  if (!group.hours) return true;
+  const hour = groupHour(group);
+  const { from, to } = group.hours;
+  return from < to ? hour >= from && hour < to : hour >= from || hour < to; // e.g. 18-2 runs past midnight
+}
+
+function isTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The search text a group message asks for, or null when it isn't meant for the bot
+async function groupQuery(msg, group) {
+  const text = msg.text?.trim();
+  if (!text) return null;
+
+  botUsername ??= (await bot.getMe()).username;
+  const mention = new RegExp(`@${escapeRegex(botUsername)}\\b`, 'ig');
+  if (mention.test(text)) return text.replace(mention, '').trim();
+  if (msg.reply_to_message?.from?.username === botUsername) return text;
+
+  if (group.prefix && text.toLowerCase().startsWith(group.prefix.toLowerCase())) return text.slice(group.prefix.length).trim();
+  return null;
+}
+
+// Group admins (including anonymous ones) and bot admins
+async function canManageGroup(msg) {
+  if (msg.sender_chat?.id === msg.chat.id) return true;
+  if (await hasRole(msg.from.id, 'admin')) return true;
+  const member = await bot.getChatMember(msg.chat.id, msg.from.id).catch(() => null);
+  return ['creator', 'administrator'].includes(member?.status);
+}
+
+async function groupSearch(msg, query, group) {
+  const chatId = msg.chat.id;
+  const fromId = String(msg.from.id);
+  if (!group.enabled) return;
+
+  const { lang } = await getAccess(fromId);
+  const notice = async (key, vars) => {
+    const temp = await bot.sendMessage(chatId, t(lang, key, vars), { reply_to_message_id: msg.message_id, parse_mode: 'HTML' });
+    autoDeleteMessage(chatId, temp.message_id, AUTO_DELETE_MS.notice);
+  };
+  if (!query) return notice('group.usage');
+  if (!groupOpen(group)) return notice('group.closed', { from: group.hours.from, to: group.hours.to, timezone: group.timezone });
+
+  if (await floodBlocked(chatId, fromId, 'search')) return;
+  await saveUser(msg);
+  if (!await verifyJoin(chatId, fromId, { forceJoin: group.forceJoin })) return;
+
+  if (/^([FB]\d{4}|S\d{4}-\d+)$/i.test(query)) {
+    if (group.delivery === 'group') return deliverById(chatId, fromId, query, lang, { deleteMs: groupDeleteMs(group) });
+    const sent = await bot.sendMessage(chatId, t(lang, 'group.getPrivately', { id: query.toUpperCase() }), {
+      reply_to_message_id: msg.message_id,
+      reply_markup: { inline_keyboard: [[{ text: t(lang, 'group.openBot'), url: await startLink(query.toUpperCase()) }]] }
+    });
+    autoDeleteMessage(chatId, sent.message_id, groupDeleteMs(group));
+    return;
+  }
+
+  await sendSearchResults(chatId, fromId, query, groupDeleteMs(group));
+}
+
+async function groupSettingsView(group) {
+  const channels = await requiredChannels();
+  const onOff = value => value ? 'on' : 'off';
+  const text = `⚙️ <b>Group Settings</b>${group.title ? ` - ${escapeHtml(group.title)}` : ''}
+
+Enabled: <b>${onOff(group.enabled)}</b>
+Files: <b>${group.delivery === 'group' ? 'posted in the group' : 'sent privately'}</b>
+Force-join: <b>${onOff(group.forceJoin)}</b>${channels.length ? '' : ' (no channel set)'}
+Auto-delete: <b>${group.autoDeleteSec == null ? 'bot default' : group.autoDeleteSec ? formatDelay(group.autoDeleteSec * 1000) : 'off'}</b>
+Hours: <b>${group.hours ? `${group.hours.from}:00-${group.hours.to}:00 ${group.timezone}` : 'always'}</b>
+Prefix: ${group.prefix ? `<code>${escapeHtml(group.prefix)}</code>` : '<b>none</b> (mentions and /search only)'}
+
+<i>/settings delete 300|off|default
+/settings hours 9-23 [Europe/London]|off
+/settings prefix #find|off</i>`;
+
+  const keyboard = [
+    [{ text: group.enabled ? '⏸ Disable' : '▶️ Enable', callback_data: `GSET:enabled:${group.enabled ? 0 : 1}` }],
+    [{ text: group.delivery === 'group' ? '📩 Send files privately' : '📤 Post files in the group', callback_data: `GSET:delivery:${group.delivery === 'group' ? 'private' : 'group'}` }],
+    [{ text: group.forceJoin ? '🔓 Turn force-join off' : '🔒 Turn force-join on', callback_data: `GSET:forceJoin:${group.forceJoin ? 0 : 1}` }]
+  ];
+  return { text, keyboard };
+}
+
+// /settings [delete|hours|prefix] [value], parsed into an update, or an error message
+function parseGroupSetting(field, value) {
+  if (field === 'delete') {
+    if (value === 'default') return { $unset: { autoDeleteSec: 1 } };
+    if (value === 'off') return { $set: { autoDeleteSec: 0 } };
+    if (/^\d+$/.test(value) && Number(value) <= 86400) return { $set: { autoDeleteSec: Number(value) } };
+    return '⚠️ Usage: <code>/settings delete 300</code> (seconds, up to a day), <code>off</code> or <code>default</code>';
+  }
+  if (field === 'hours') {
+    if (value === 'off') return { $unset: { hours: 1 } };
+    const match = value.match(/^(\d{1,2})\s*-\s*(\d{1,2})(?:\s+(\S+))?$/);
+    const [from, to] = match ? [Number(match[1]), Number(match[2])] : [];
+    if (!match || from > 23 || to > 24 || from === to) return '⚠️ Usage: <code>/settings hours 9-23</code> (from-to, 0-24) with an optional time zone like <code>Asia/Kolkata</code>, or <code>off</code>';
+    if (match[3] && !isTimezone(match[3])) return '❌ Unknown time zone. Use a name like <code>Europe/London</code> or <code>Asia/Kolkata</code>.';
+    return { $set: { hours: { from, to: to % 24 }, ...(match[3] && { timezone: match[3] }) } };
+  }
+  if (field === 'prefix') {
+    if (value === 'off') return { $unset: { prefix: 1 } };
+    if (!value || value.length > GROUP_PREFIX_MAX || /\s/.test(value)) return `⚠️ Usage: <code>/settings prefix #find</code> (one word up to ${GROUP_PREFIX_MAX} characters), or <code>off</code>`;
+    return { $set: { prefix: value } };
+  }
+  return '⚠️ Unknown setting. Use <code>delete</code>, <code>hours</code> or <code>prefix</code>, or the buttons.';
+}
+
+// --- UPLOADS ---
+
+// Everything a File needs, derived from a video/document message
+function buildUploadData(msg) {
+  const file = msg.video || msg.document;
+  const rawName = msg.caption || file.file_name || "Unknown";
+  const clean = cleanFileName(rawName);
+  const release = parseReleaseInfo([msg.caption, file.file_name].filter(Boolean).join(' '));
+
+  return {
+    file_id: file.file_id,
+    file_unique_id: file.file_unique_id,
+    file_name: rawName,
+    type: msg.video ? 'video' : 'document',
+    clean_title: clean,
+    attributes: generateAttributes(clean),
+    file_size: formatSize(file.file_size),
+    file_bytes: file.file_size,
+    ...release,
+    series_title: release.season ? seriesTitleFrom(clean) || undefined : undefined
+  };
+}
+
+async function sendUploadReview(chatId, adminId, data, note) {
+  const pending = await Pending.create({
+    adminId,
+    chatId: String(chatId),
+    ...data,
+    duplicates: data.duplicates ?? await findDuplicates(data),
+    review_note: note
+  });
+
+  const review = await bot.sendMessage(chatId, reviewUploadText(pending), {
+    parse_mode: 'HTML',
+    reply_markup: reviewUploadKeyboard(pending)
+  });
+  await Pending.updateOne({ _id: pending._id }, { $set: { reviewMessageId: review.message_id } });
+  return pending;
+}
+
+async function publishFile(data, uploaderId) {
+  const series = data.series_title ? await findOrCreateSeries(data.series_title) : null;
+  const customId = await nextSequence();
+  const file = await File.create({
+    customId,
+    file_id: data.file_id,
+    file_unique_id: data.file_unique_id,
+    file_name: data.file_name,
+    type: data.type,
+    uploader_id: uploaderId,
+    file_size: data.file_size,
+    file_bytes: data.file_bytes,
+    clean_title: data.clean_title,
+    attributes: data.attributes,
+    search_grams: generateSearchGrams(data.attributes),
+    year: data.year,
+    season: data.season,
+    episode: data.episode,
+    resolution: data.resolution,
+    source: data.source,
+    codec: data.codec,
+    languages: data.languages,
+    subtitles: data.subtitles,
+    seriesId: series?.seriesId
+  });
+  const fulfilled = await fulfillMatchingRequests(file.toObject());
+  notifyWatchers(file.toObject()).catch(err => console.error('Watch Notify Error:', err.message));
+  return { customId, series, fulfilled };
+}
+
+// --- REQUESTS ---
+const MAX_OPEN_REQUESTS_PER_USER = 10;
+
+// Stricter than search ranking: every query term must match a title word exactly or as a prefix,
+// so notifications only fire for files that really are what was asked for
+function strictMatch(terms, file) {
+  const { words, joined } = titleTerms(file.attributes || []);
+  const titleWords = [...words, ...joined];
+  return terms.length > 0 && terms.every(term => titleWords.some(w => termScore(term, w) >= 0.9));
+}
+
+// Every strictMatch() term is a prefix of some title word, so a new file can only match queries whose
+// longest term starts like one of its words. Indexing that anchor avoids scanning every query per upload.
+function queryAnchor(terms) {
+  const longest = terms.reduce((a, b) => (b.length > a.length ? b : a), '');
+  return `^${longest.slice(0, 2)}`;
+}
+
+function fileAnchors(file) {
+  const { words, joined } = titleTerms(file.attributes || []);
+  return [...new Set([...words, ...joined].flatMap(w => [`^${w.slice(0, 1)}`, `^${w.slice(0, 2)}`]))];
+}
+
+// Open requests made before anchors existed were indexed by trigrams (`grams`) and would never auto-fulfill
+// Written through the driver, since mongoose would drop the $unset of a field no longer in the schema
+async function backfillRequestAnchors() {
+  const requests = await Request.find({ status: 'open', anchor: { $exists: false } }, { terms: 1, title: 1 }).lean();
+  if (!requests.length) return;
+  await Request.collection.bulkWrite(requests.map(r => ({
+    updateOne: {
+      filter: { _id: r._id },
+      update: { $set: { anchor: queryAnchor(r.terms?.length ? r.terms : searchTerms(r.title || '')) }, $unset: { grams: 1 } }
+    }
+  })));
+}
+
+backfillRequestAnchors().catch(err => console.error('Request Backfill Error:', err.message));
+
+// Returns { request, status } where status is 'created' | 'voted' | 'already' | 'limit', or null for an empty title
+async function createRequest(userId, text) {
+  const terms = searchTerms(text);
+  if (!terms.length) return null;
+  const key = terms.join(' ');
+
+  const existing = await Request.findOne({ key, status: 'open' }).lean();
+  if (existing?.requesters.includes(userId)) return { request: existing, status: 'already' };
+
+  const openCount = await Request.countDocuments({ status: 'open', requesters: userId });
+  if (openCount >= MAX_OPEN_REQUESTS_PER_USER) return { request: existing, status: 'limit' };
+
+  if (existing) {
+    await Request.updateOne({ _id: existing._id, requesters: { $ne: userId } }, { $push: { requesters: userId }, $inc: { votes: 1 } });
+    return { request: existing, status: 'voted' };
+  }
+
+  try {
+    const request = await Request.create({
+      requestId: await nextSequence('request', 'R'),
+      title: cleanFileName(text),
+      key,
+      terms,
+      anchor: queryAnchor(terms),
+      requesters: [userId]
+    });
+    return { request: request.toObject(), status: 'created' };
+  } catch (err) {
+    if (err.code === 11000) return createRequest(userId, text); // Someone opened the same request concurrently
+    throw err;
+  }
+}
+
+async function notifyRequesters(request, file) {
+  const title = escapeHtml(request.title);
+  for (const userId of request.requesters) {
+    try {
+      const { lang } = await getAccess(userId);
+      const text = t(lang, file ? 'request.available' : 'request.added', { title });
+      const reply_markup = file
+        ? { inline_keyboard: [[{ text: t(lang, 'request.get', { title: file.clean_title }).slice(0, 60), callback_data: `GET:${file.customId}` }]] }
+        : undefined;
+      await bot.sendMessage(userId, text, { parse_mode: 'HTML', reply_markup });
+    } catch (err) {
+      if (err.response?.statusCode === 403) await User.updateOne({ userId }, { $set: { active: false } });
+    }
+    // Tiny delay to prevent 429 errors
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+async function closeRequest(request, status, handledBy, file) {
+  const res = await Request.updateOne(
+    { _id: request._id, status: 'open' },
+    { $set: { status, handledBy, fulfilledWith: file?.customId, closed_at: new Date() } }
+  );
+  if (res.modifiedCount && status === 'fulfilled') {
+    notifyRequesters(request, file).catch(err => console.error('Request Notify Error:', err.message));
+  }
+  return res.modifiedCount > 0;
+}
+
+// Called for every newly published file; returns how many open requests it fulfilled
+async function fulfillMatchingRequests(file) {
+  const candidates = await Request.find({ status: 'open', anchor: { $in: fileAnchors(file) } })
+    .sort({ votes: -1 })
+    .limit(500)
+    .lean();
+
+  let fulfilled = 0;
+  for (const request of candidates) {
+    if (strictMatch(request.terms, file) && await closeRequest(request, 'fulfilled', file.uploader_id, file)) fulfilled++;
+  }
+  return fulfilled;
+}
+
+function requestReply(result, lang) {
+  if (!result) return t(lang, 'request.noTitle');
+  const { request, status } = result;
+  if (status === 'limit') return t(lang, 'request.limit', { max: MAX_OPEN_REQUESTS_PER_USER });
+  if (status === 'already') return t(lang, 'request.already', { title: request.title });
+  if (status === 'voted') return t(lang, 'request.voted', { title: request.title });
+  return t(lang, 'request.created', { title: request.title });
+}
+
+// --- WATCH ALERTS ---
+const MAX_WATCHES_PER_USER = 20;
+
+// Returns 'created' | 'exists' | 'limit', or null for empty keywords
+async function addWatch(userId, text) {
+  const terms = searchTerms(text);
+  if (!terms.length) return null;
+  const key = terms.join(' ');
+
+  if (await Watch.exists({ userId, key })) return 'exists';
+  if (await Watch.countDocuments({ userId }) >= MAX_WATCHES_PER_USER) return 'limit';
+
+  try {
+    await Watch.create({ userId, query: cleanFileName(text), key, terms, anchor: queryAnchor(terms) });
+  } catch (err) {
+    if (err.code === 11000) return 'exists';
+    throw err;
+  }
+  return 'created';
+}
+
+// One message per user, even if several of their watches match the same file
+async function notifyWatchers(file) {
+  const watches = await Watch.find({ anchor: { $in: fileAnchors(file) } }).lean();
+  const matched = new Map();
+  for (const watch of watches) {
+    if (!matched.has(watch.userId) && strictMatch(watch.terms, file)) matched.set(watch.userId, watch);
+  }
+  if (!matched.size) return;
+
+  await Watch.updateMany(
+    { _id: { $in: [...matched.values()].map(w => w._id) } },
+    { $set: { lastNotifiedAt: new Date() }, $inc: { hits: 1 } }
+  );
+
+  for (const [userId, watch] of matched) {
+    try {
+      const { lang } = await getAccess(userId);
+      const text = t(lang, 'watch.alert', { query: escapeHtml(watch.query), title: escapeHtml(file.clean_title), size: file.file_size });
+      await bot.sendMessage(userId, text, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: [[{ text: t(lang, 'file.get'), callback_data: `GET:${file.customId}` }]] }
+      });
+    } catch (err) {
+      if (err.response?.statusCode === 403) await User.updateOne({ userId }, { $set: { active: false } });
+    }
+    // Tiny delay to prevent 429 errors
+    await new Promise(r => setTimeout(r, 50));
+  }
+}
+
+async function watchesView(userId, lang) {
+  const watches = await Watch.find({ userId }).sort({ created_at: 1 }).lean();
+  if (!watches.length) return { text: t(lang, 'watch.empty'), keyboard: [] };
+  return {
+    text: t(lang, 'watch.list', { count: watches.length, max: MAX_WATCHES_PER_USER }),
+    keyboard: watches.map(w => [{ text: `❌ ${w.query}`, callback_data: `UNWATCH:${w._id}` }])
+  };
+}
+
+// Title words plus admin tags, deduplicated
+function fileAttributes(cleanTitle, tags = []) {
+  return [...new Set([...generateAttributes(cleanTitle), ...tags.flatMap(t => generateAttributes(cleanFileName(t)))])];
+}
+
+async function trashFile(customId, deletedBy) {
+  const file = await File.findOne({ customId }).lean();
+  if (!file) return null;
+  await Trash.create({ customId, file, deletedBy });
+  await File.deleteOne({ _id: file._id });
+  return file;
+}
+
+// Returns the restored file, or throws if its customId/file_id was reused in the meantime
+async function restoreFile(customId) {
+  const entry = await Trash.findOne({ customId }).sort({ deleted_at: -1 }).lean();
+  if (!entry) return null;
+  await File.create(entry.file);
+  await Trash.deleteOne({ _id: entry._id });
+  await File.updateMany({ aliases: customId }, { $pull: { aliases: customId } }); // Undo a merge into another file
+  return entry.file;
+}
+
+// Drops trash entries past the retention window. Favorites are kept until then so a restore brings them back.
+async function purgeTrash() {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_MS);
+  const expired = await Trash.find({ deleted_at: { $lt: cutoff } }, { customId: 1 }).lean();
+  if (!expired.length) return 0;
+
+  const ids = [...new Set(expired.map(e => e.customId))];
+  const [live, trashed] = await Promise.all([
+    File.find({ customId: { $in: ids } }, { customId: 1 }).lean(),
+    Trash.find({ customId: { $in: ids }, deleted_at: { $gte: cutoff } }, { customId: 1 }).lean()
+  ]);
+  const keep = new Set([...live, ...trashed].map(d => d.customId));
+
+  await Favorite.deleteMany({ customId: { $in: ids.filter(id => !keep.has(id)) } });
+  await Trash.deleteMany({ _id: { $in: expired.map(e => e._id) } });
+  return expired.length;
+}
+
+// --- AUDIT LOG ---
+// Never throws: a failed audit write must not undo or block the action itself
+async function audit(actorId, action, target, details) {
+  await Audit.create({ actorId: String(actorId), action, target: target && String(target), details })
+    .catch(err => console.error('Audit Error:', err.message));
+}
+
+function auditLine(entry) {
+  const when = new Date(entry.created_at).toISOString().slice(0, 16).replace('T', ' ');
+  const details = entry.details ? ` ${Object.entries(entry.details).map(([k, v]) => `${k}=${[].concat(v).join(',')}`).join(' ')}` : '';
+  // Targets and details hold user input (ban reasons, titles, queries); cut first so no entity is split
+  return `<code>${when}</code> ${escapeHtml(entry.actorId)} · <b>${escapeHtml(entry.action)}</b>${entry.target ? ` ${escapeHtml(entry.target)}` : ''}`
+    + escapeHtml(details.length > 120 ? `${details.slice(0, 120)}…` : details);
+}
+
+// --- ANALYTICS ---
+const DAY_MS = 86400000;
+const DAY_EXPR = { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } };
+const STATS_REPORTS = { dau: 14, queries: 7, missing: 30, downloads: 7, retention: 56, shares: 30 }; // Report -> default days
+const TRENDING_WINDOWS = ['today', 'week'];
+
+// Fire-and-forget: analytics must never slow down or break a user-facing handler
+function track(type, userId, fields = {}) {
+  Event.create({ type, userId: String(userId), ...fields }).catch(err => console.error('Event Error:', err.message));
+}
+
+async function countDownload(userId, customId, source) {
+  await File.updateOne({ customId }, { $inc: { downloads: 1 } });
+  track('download', userId, { customId, source });
+}
+
+// Midnight UTC `days - 1` days ago, so a 7-day window is today plus the 6 days before
+function windowStart(days) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  return new Date(start.getTime() - (days - 1) * DAY_MS);
+}
+
+function dayLabels(since, days) {
+  return [...Array(days)].map((_, i) => new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10));
+}
+
+async function trendingFiles(window, limit = 10) {
+  const since = windowStart(window === 'today' ? 1 : 7);
+  const top = await Event.aggregate([
+    { $match: { type: 'download', created_at: { $gte: since } } },
+    { $group: { _id: '$customId', downloads: { $sum: 1 } } },
+    { $sort: { downloads: -1, _id: 1 } },
+    { $limit: limit * 2 } // Some may have been deleted since
+  ]);
+  const files = await File.find({ customId: { $in: top.map(r => r._id) } }).lean();
+  const byId = new Map(files.map(f => [f.customId, f]));
+  return top.filter(r => byId.has(r._id)).slice(0, limit).map(r => ({ file: byId.get(r._id), downloads: r.downloads }));
+}
+
+// Plain data for /stats <report> and GET /api/v1/stats/<report> (`report` is a STATS_REPORTS key).
+// Null when the requested file does not exist.
+async function analyticsReport(report, { days, customId } = {}) {
+  days = Math.min(Math.max(Number(days) || STATS_REPORTS[report], 1), ANALYTICS_RETENTION_DAYS_NUM);
+  const since = windowStart(days);
+  const labels = dayLabels(since, days);
+  const byDay = (rows, field) => {
+    const map = new Map(rows.map(r => [r._id, r[field]]));
+    return labels.map(day => ({ day, [field]: map.get(day) || 0 }));
+  };
+
+  if (report === 'dau') {
+    const rows = await Event.aggregate([
+      { $match: { created_at: { $gte: since } } },
+      { $group: { _id: { day: DAY_EXPR, userId: '$userId' } } },
+      { $group: { _id: '$_id.day', users: { $sum: 1 } } }
+    ]);
+    return { report, days, series: byDay(rows, 'users') };
+  }
+
+  if (report === 'queries' || report === 'missing') {
+    const match = { type: 'search', created_at: { $gte: since }, ...(report === 'missing' && { results: 0 }) };
+    const rows = await Event.aggregate([
+      { $match: match },
+      { $group: { _id: '$query', searches: { $sum: 1 }, users: { $addToSet: '$userId' }, misses: { $sum: { $cond: [{ $eq: ['$results', 0] }, 1, 0] } } } },
+      { $project: { searches: 1, misses: 1, users: { $size: '$users' } } },
+      { $sort: report === 'missing' ? { users: -1, searches: -1 } : { searches: -1 } },
+      { $limit: 30 }
+    ]);
+    let queries = rows.map(r => ({ query: r._id, searches: r.searches, users: r.users, misses: r.misses }));
+    // Titles uploaded since they were searched for are no longer missing
+    if (report === 'missing') {
+      const stillMissing = [];
+      for (const q of queries) {
+        if (!(await searchFiles(q.query)).results.length) stillMissing.push(q);
+      }
+      queries = stillMissing;
+    }
+    return { report, days, queries: queries.slice(0, 20) };
+  }
+
+  if (report === 'downloads') {
+    if (customId) {
+      const file = await findFileById(customId);
+      if (!file) return null;
+      const rows = await Event.aggregate([
+        { $match: { type: 'download', customId: { $in: [file.customId, ...(file.aliases || [])] }, created_at: { $gte: since } } },
+        { $group: { _id: DAY_EXPR, downloads: { $sum: 1 } } }
+      ]);
+      return { report, days, file: { customId: file.customId, title: file.clean_title, downloads: file.downloads || 0 }, series: byDay(rows, 'downloads') };
+    }
+    const [rows, top] = await Promise.all([
+      Event.aggregate([
+        { $match: { type: 'download', created_at: { $gte: since } } },
+        { $group: { _id: DAY_EXPR, downloads: { $sum: 1 } } }
+      ]),
+      Event.aggregate([
+        { $match: { type: 'download', created_at: { $gte: since } } },
+        { $group: { _id: '$customId', downloads: { $sum: 1 } } },
+        { $sort: { downloads: -1 } },
+        { $limit: 10 }
+      ])
+    ]);
+    const titles = new Map((await File.find({ customId: { $in: top.map(r => r._id) } }, { customId: 1, clean_title: 1 }).lean()).map(f => [f.customId, f.clean_title]));
+    return {
+      report,
+      days,
+      series: byDay(rows, 'downloads'),
+      files: top.map(r => ({ customId: r._id, title: titles.get(r._id) || null, downloads: r.downloads }))
+    };
+  }
+
+  // Share links: how often each file's links were created and opened, and how many opens ended in a
+  // delivery or brought in a new user
+  if (report === 'shares') {
+    const rows = await Event.aggregate([
+      { $match: { type: { $in: ['share', 'share_open', 'join'] }, customId: { $exists: true }, created_at: { $gte: since } } },
+      {
+        $group: {
+          _id: '$customId',
+          links: { $sum: { $cond: [{ $eq: ['$type', 'share'] }, 1, 0] } },
+          opens: { $sum: { $cond: [{ $eq: ['$type', 'share_open'] }, 1, 0] } },
+          delivered: { $sum: { $cond: [{ $and: [{ $eq: ['$type', 'share_open'] }, { $eq: ['$source', 'sent'] }] }, 1, 0] } },
+          newUsers: { $sum: { $cond: [{ $eq: ['$type', 'join'] }, 1, 0] } }
+        }
+      },
+      { $sort: { delivered: -1, opens: -1, links: -1 } },
+      { $limit: 20 }
+    ]);
+    const sharers = await Event.aggregate([
+      { $match: { type: 'share_open', source: 'sent', created_at: { $gte: since } } },
+      { $group: { _id: '$sharedBy', delivered: { $sum: 1 }, users: { $addToSet: '$userId' } } },
+      { $project: { delivered: 1, users: { $size: '$users' } } },
+      { $sort: { users: -1, delivered: -1 } },
+      { $limit: 10 }
+    ]);
+    const ids = rows.map(r => r._id);
+    const [files, bundles] = await Promise.all([
+      File.find({ customId: { $in: ids } }, { customId: 1, clean_title: 1 }).lean(),
+      Bundle.find({ bundleId: { $in: ids } }, { bundleId: 1, title: 1 }).lean()
+    ]);
+    const titles = new Map([...files.map(f => [f.customId, f.clean_title]), ...bundles.map(b => [b.bundleId, b.title])]);
+    return {
+      report,
+      days,
+      files: rows.map(r => ({ customId: r._id, title: titles.get(r._id) || null, links: r.links, opens: r.opens, delivered: r.delivered, newUsers: r.newUsers })),
+      sharers: sharers.map(r => ({ userId: r._id, delivered: r.delivered, users: r.users }))
+    };
+  }
+
+  // Retention: users who started the bot in a given week, and the share of them active in each later week
+  const WEEK_MS = 7 * DAY_MS;
+  const weeks = Math.ceil(days / 7);
+  const start = windowStart(weeks * 7);
+  const joins = await Event.find({ type: 'join', source: { $in: ['bot', 'share', 'referral'] }, created_at: { $gte: start } }, { userId: 1, created_at: 1 }).lean();
+  const cohortOf = new Map(joins.map(j => [j.userId, Math.floor((j.created_at - start) / WEEK_MS)]));
+  const active = await Event.aggregate([
+    { $match: { type: { $ne: 'join' }, userId: { $in: [...cohortOf.keys()] }, created_at: { $gte: start } } },
+    { $group: { _id: { userId: '$userId', week: { $floor: { $divide: [{ $subtract: ['$created_at', start] }, WEEK_MS] } } } } }
+  ]);
+
+  const cohorts = [...Array(weeks)].map((_, week) => ({
+    week: new Date(start.getTime() + week * WEEK_MS).toISOString().slice(0, 10),
+    users: 0,
+    retained: Array(weeks - week - 1).fill(0) // Users active 1, 2, ... weeks after joining
+  }));
+  for (const week of cohortOf.values()) cohorts[week].users++;
+  for (const { _id } of active) {
+    const offset = _id.week - cohortOf.get(_id.userId);
+    if (offset > 0) cohorts[cohortOf.get(_id.userId)].retained[offset - 1]++;
+  }
+  for (const c of cohorts) c.retained = c.retained.map(n => c.users ? Math.round(n / c.users * 100) : 0);
+  return { report, days: weeks * 7, cohorts };
+}
+
+function statsBar(value, max) {
+  return '█'.repeat(max ? Math.round(value / max * 10) : 0) || '▏';
+}
+
+function reportText(data) {
+  const series = (rows, field) => {
+    const max = Math.max(...rows.map(r => r[field]));
+    return rows.map(r => `<code>${r.day.slice(5)} ${statsBar(r[field], max).padEnd(10)}</code> ${r[field]}`).join('\n');
+  };
+
+  switch (data.report) {
+    case 'dau':
+      return `👥 <b>Daily Active Users</b> (${data.days} days)\n\n${series(data.series, 'users')}`;
+    case 'queries':
+    case 'missing': {
+      const title = data.report === 'missing' ? `🕳️ <b>Most-Wanted Missing Titles</b> (${data.days} days)` : `🔎 <b>Top Searches</b> (${data.days} days)`;
+      if (!data.queries.length) return `${title}\n\nNo searches yet.`;
+      const lines = data.queries.map((q, i) => `${i + 1}. ${escapeHtml(q.query)} · ${q.searches}× by ${q.users} user(s)${data.report === 'queries' && q.misses ? ` · ${q.misses} with no results` : ''}`);
+      return `${title}\n\n${lines.join('\n')}`;
+    }
+    case 'downloads': {
+      if (data.file) {
+        return `📥 <b>Downloads of ${data.file.customId}</b> (${data.days} days)\n${escapeHtml(data.file.title)}\nAll time: ${data.file.downloads}\n\n${series(data.series, 'downloads')}`;
+      }
+      const top = data.files.map((f, i) => `${i + 1}. <code>${f.customId}</code> ${f.title ? escapeHtml(f.title) : '(deleted)'} · ${f.downloads}`).join('\n');
+      return `📥 <b>Downloads</b> (${data.days} days)\n\n${series(data.series, 'downloads')}\n\n<b>Top files:</b>\n${top || 'None yet.'}\n\n<i>/stats downloads F0012 for one file</i>`;
+    }
+    case 'shares': {
+      const files = data.files.map((f, i) => `${i + 1}. <code>${f.customId}</code> ${f.title ? escapeHtml(f.title) : '(deleted)'} · ${f.links} links · ${f.opens} opens · ${f.delivered} sent (${f.opens ? Math.round(f.delivered / f.opens * 100) : 0}%) · ${f.newUsers} new`).join('\n');
+      const sharers = data.sharers.map((s, i) => `${i + 1}. <code>${s.userId}</code> · ${s.users} people · ${s.delivered} sent`).join('\n');
+      return `🔗 <b>Share Links</b> (${data.days} days)\n\n${files || 'No shares yet.'}${sharers ? `\n\n<b>Top sharers:</b>\n${sharers}` : ''}\n\n<i>sent = opens that delivered the file; new = people who started the bot through the link.</i>`;
+    }
+    case 'retention': {
+      const lines = data.cohorts.map(c => `<code>${c.week}</code> ${c.users} new${c.retained.length ? ` · ${c.retained.map((pct, i) => `w${i + 1} ${pct}%`).join(' ')}` : ''}`);
+      return `🔁 <b>Retention</b> (weekly cohorts)\n\n${lines.join('\n')}\n\n<i>wN = share of the week's new users who searched or downloaded N weeks later.</i>`;
+    }
+  }
+}
+
+// --- RECOMMENDATIONS ---
+// Files downloaded by the same people (last RECOMMEND_WINDOW_DAYS of events), topped up with files that
+// share title words or tags. Computed in the background so delivery only does one indexed read, after sending.
+const RECOMMEND_WINDOW_DAYS = 90;
+const RECOMMEND_INTERVAL_MS = 6 * 3600000;
+const RECOMMEND_MAX = 8;
+const RECOMMEND_MAX_FILES = 2000; // Most downloaded files that get a tag-based top-up each run
+const RECOMMEND_USER_FILES = 50; // Per-user cap, so a few heavy downloaders don't decide every pairing
+const TOPIC_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'part', 'movie', 'film', 'season', 'episode', 'full', 'hdr', 'dual', 'audio', 'multi']);
+
+// Title words and tags that say what a file is about, not how it was encoded
+function topicTerms(file) {
+  return [...new Set(titleTerms(file.attributes || []).words)].filter(w =>
+    w.length >= 3 && !/^\d+$/.test(w) && !/^s\d+(e\d+)?$/.test(w) && !TOPIC_STOPWORDS.has(w) &&
+    !RESOLUTIONS[w] && !SOURCES[w] && !CODECS[w] && !LANGUAGE_ALIASES.has(w) && !SUBTITLES[w]);
+}
+
+async function coDownloads(since) {
+  const [pairs, popularity] = await Promise.all([
+    Event.aggregate([
+      { $match: { type: 'download', created_at: { $gte: since } } },
+      { $group: { _id: '$userId', files: { $addToSet: '$customId' } } },
+      { $match: { 'files.1': { $exists: true } } },
+      { $project: { a: { $slice: ['$files', RECOMMEND_USER_FILES] }, b: { $slice: ['$files', RECOMMEND_USER_FILES] } } },
+      { $unwind: '$a' },
+      { $unwind: '$b' },
+      { $match: { $expr: { $ne: ['$a', '$b'] } } },
+      { $group: { _id: { a: '$a', b: '$b' }, users: { $sum: 1 } } },
+      { $match: { users: { $gte: 2 } } } // One shared user is a coincidence
+    ]).allowDiskUse(true),
+    Event.aggregate([
+      { $match: { type: 'download', created_at: { $gte: since } } },
+      { $group: { _id: { customId: '$customId', userId: '$userId' } } },
+      { $group: { _id: '$_id.customId', users: { $sum: 1 } } },
+      { $sort: { users: -1 } }
+    ]).allowDiskUse(true)
+  ]);
+
+  // Cosine similarity, so a file everyone downloads doesn't top every list
+  const users = new Map(popularity.map(p => [p._id, p.users]));
+  const lists = new Map();
+  for (const { _id: { a, b }, users: shared } of pairs) {
+    if (!lists.has(a)) lists.set(a, []);
+    lists.get(a).push({ customId: b, score: shared / Math.sqrt(users.get(a) * users.get(b)) });
+  }
+  for (const [id, list] of lists) lists.set(id, list.sort((x, y) => y.score - x.score).map(r => r.customId));
+  return { lists, popular: popularity.slice(0, RECOMMEND_MAX_FILES).map(p => p._id) };
+}
+
+async function similarByTopic(customId) {
+  const file = await File.findOne({ customId }, { customId: 1, attributes: 1 }).lean();
+  const terms = file ? topicTerms(file) : [];
+  if (!terms.length) return [];
+
+  const grams = generateSearchGrams(terms);
+  const candidates = await File.aggregate([
+    { $match: { search_grams: { $in: grams }, customId: { $ne: customId } } },
+    { $project: { customId: 1, attributes: 1, downloads: 1, overlap: { $size: { $setIntersection: ['$search_grams', grams] } } } },
+    { $sort: { overlap: -1, downloads: -1 } },
+    { $limit: 30 }
+  ]);
+
+  const mine = new Set(terms);
+  return candidates.map(c => {
+    const theirs = topicTerms(c);
+    const shared = theirs.filter(w => mine.has(w)).length;
+    // Identical topics are the same title in another release, which isn't a recommendation
+    const same = shared === mine.size && shared === theirs.length;
+    return { customId: c.customId, score: same ? 0 : shared / new Set([...mine, ...theirs]).size, downloads: c.downloads || 0 };
+  }).filter(c => c.score >= 0.3)
+    .sort((a, b) => b.score - a.score || b.downloads - a.downloads)
+    .map(c => c.customId);
+}
+
+async function computeRecommendations() {
+  const started = new Date();
+  const { lists, popular } = await coDownloads(new Date(Date.now() - RECOMMEND_WINDOW_DAYS * DAY_MS));
+
+  let ops = [];
+  const flush = async () => {
+    if (ops.length) await Recommendation.bulkWrite(ops, { ordered: false });
+    ops = [];
+  };
+  const topUp = new Set(popular);
+  for (const customId of new Set([...popular, ...lists.keys()])) {
+    let items = (lists.get(customId) || []).slice(0, RECOMMEND_MAX);
+    if (items.length < RECOMMEND_MAX && topUp.has(customId)) {
+      const extra = (await similarByTopic(customId)).filter(id => !items.includes(id));
+      items = [...items, ...extra].slice(0, RECOMMEND_MAX);
+    }
+    if (!items.length) continue;
+    ops.push({ updateOne: { filter: { customId }, update: { $set: { items, updated_at: new Date() } }, upsert: true } });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
+  await Recommendation.deleteMany({ updated_at: { $lt: started } });
+}
+
+// One instance at a time, in case several run against the same database
+async function runRecommendations() {
+  if (!await redis.set('recommend:lock', '1', 'EX', 3600, 'NX')) return;
+  try {
+    await computeRecommendations();
+  } catch (err) {
+    console.error('Recommendation Error:', err.message);
+  } finally {
+    await redis.del('recommend:lock');
+  }
+}
+
+// Files recommended for any of `customIds` that still exist, best first
+async function recommendedFiles(customIds, limit, exclude = new Set()) {
+  const docs = await Recommendation.find({ customId: { $in: customIds } }).lean();
+  // Items from every source file, weighted by rank, so things recommended after several of them rise
+  const scores = new Map();
+  for (const doc of docs) {
+    doc.items.forEach((id, rank) => {
+      if (!exclude.has(id) && !customIds.includes(id)) scores.set(id, (scores.get(id) || 0) + 1 / (rank + 1));
+    });
+  }
+  const ranked = [...scores].sort((a, b) => b[1] - a[1]).map(([id]) => id).slice(0, limit * 2);
+  const files = await File.find({ customId: { $in: ranked } }, { customId: 1, clean_title: 1, file_size: 1 }).lean();
+  const byId = new Map(files.map(f => [f.customId, f]));
+  return ranked.map(id => byId.get(id)).filter(Boolean).slice(0, limit);
+}
+
+// "You might also like" buttons, added to the file message once it has been sent
+async function attachRecommendations(chatId, messageId, file, keyboard) {
+  const files = await recommendedFiles([file.customId], 3);
+  if (!files.length) return;
+  await bot.editMessageReplyMarkup({
+    inline_keyboard: [...keyboard, ...files.map(f => [{ text: `✨ ${f.clean_title}`, callback_data: `GET:${f.customId}` }])]
+  }, { chat_id: chatId, message_id: messageId }).catch(() => { }); // Already auto-deleted
+}
+
+// --- DUPLICATES ---
+const DUPE_SIZE_TOLERANCE = 0.02; // Older files only have sizes rounded to 0.1 MB/GB
+const DUPE_TITLE_SIMILARITY = 0.75;
+const DUPE_FIELDS = { customId: 1, clean_title: 1, file_size: 1, file_bytes: 1, search_grams: 1, downloads: 1 };
+
+function sameFileQuery(data) {
+  return { $or: [{ file_id: data.file_id }, ...(data.file_unique_id ? [{ file_unique_id: data.file_unique_id }] : [])] };
+}
+
+// Dice coefficient over title trigrams
+function titleSimilarity(gramsA, gramsB) {
+  if (!gramsA.length || !gramsB.length) return 0;
+  const setB = new Set(gramsB);
+  const shared = new Set(gramsA.filter(g => setB.has(g))).size;
+  return 2 * shared / (new Set(gramsA).size + setB.size);
+}
+
+function sizeWindow(bytes) {
+  return { $gte: bytes * (1 - DUPE_SIZE_TOLERANCE), $lte: bytes * (1 + DUPE_SIZE_TOLERANCE) };
+}
+
+// The same Telegram file, or one of nearly the same size with a similar title
+async function findDuplicates(data, limit = 5) {
+  const exact = await File.find(sameFileQuery(data), DUPE_FIELDS).limit(limit).lean();
+  const found = exact.map(f => ({ customId: f.customId, clean_title: f.clean_title, file_size: f.file_size, reason: 'same file' }));
+
+  if (data.file_bytes) {
+    const grams = generateSearchGrams(data.attributes || []);
+    const nearby = await File.find({ file_bytes: sizeWindow(data.file_bytes), customId: { $nin: found.map(f => f.customId) } }, DUPE_FIELDS)
+      .limit(50).lean();
+    for (const f of nearby) {
+      const score = titleSimilarity(grams, f.search_grams || []);
+      if (score >= DUPE_TITLE_SIMILARITY) {
+        found.push({ customId: f.customId, clean_title: f.clean_title, file_size: f.file_size, reason: `same size, ${Math.round(score * 100)}% similar title` });
+      }
+    }
+  }
+  return found.slice(0, limit);
+}
+
+// Merged duplicates keep answering to their old IDs through `aliases`
+function findFileById(customId) {
+  return File.findOne({ $or: [{ customId }, { aliases: customId }] }).lean();
+}
+
+// Catalog-wide scan. Returns clusters of IDs, most downloaded (then oldest) first.
+async function scanDuplicates(maxClusters = 50) {
+  const clusters = [];
+
+  const sameFile = await File.aggregate([
+    { $match: { file_unique_id: { $type: 'string' } } },
+    { $group: { _id: '$file_unique_id', ids: { $push: '$customId' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $limit: maxClusters }
+  ]);
+  for (const group of sameFile) clusters.push({ ids: group.ids, reason: 'same file' });
+  const clustered = new Set(clusters.flatMap(c => c.ids));
+
+  // Walk the catalog by size, comparing each file only with the ones just below it that are within tolerance
+  const parent = new Map();
+  const root = id => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const window = [];
+  const cursor = File.find({ file_bytes: { $gt: 0 } }, { customId: 1, file_bytes: 1, search_grams: 1 }).sort({ file_bytes: 1 }).lean().cursor();
+  for await (const f of cursor) {
+    if (clustered.has(f.customId)) continue;
+    while (window.length && window[0].file_bytes < f.file_bytes * (1 - DUPE_SIZE_TOLERANCE)) window.shift();
+    for (const other of window) {
+      if (titleSimilarity(f.search_grams || [], other.search_grams || []) < DUPE_TITLE_SIMILARITY) continue;
+      if (!parent.has(other.customId)) parent.set(other.customId, other.customId);
+      if (!parent.has(f.customId)) parent.set(f.customId, f.customId);
+      parent.set(root(f.customId), root(other.customId));
+    }
+    window.push(f);
+  }
+
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const r = root(id);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(id);
+  }
+  for (const ids of groups.values()) clusters.push({ ids, reason: 'similar title and size' });
+
+  const picked = clusters.slice(0, maxClusters);
+  const files = await File.find({ customId: { $in: picked.flatMap(c => c.ids) } }, DUPE_FIELDS).lean();
+  const byId = new Map(files.map(f => [f.customId, f]));
+  return picked.map(c => ({
+    reason: c.reason,
+    files: c.ids.map(id => byId.get(id)).filter(Boolean)
+      .sort((a, b) => (b.downloads || 0) - (a.downloads || 0) || a.customId.localeCompare(b.customId))
+  })).filter(c => c.files.length > 1);
+}
+
+// Folds duplicates into `keepId`: downloads add up, favorites and fulfilled requests move over, the old IDs
+// become aliases, and the duplicates go to the trash.
+async function mergeFiles(keepId, dupIds, actorId) {
+  const keep = await File.findOne({ customId: keepId }).lean();
+  const dups = await File.find({ customId: { $in: dupIds.filter(id => id !== keepId) } }).lean();
+  if (!keep || !dups.length) return null;
+
+  const ids = dups.map(d => d.customId);
+  const downloads = dups.reduce((sum, d) => sum + (d.downloads || 0), 0);
+  const aliases = [...new Set(dups.flatMap(d => [d.customId, ...(d.aliases || [])]))];
+
+  // One favorite per user on the kept file, even if they saved several of the copies
+  const favUsers = await Favorite.distinct('userId', { customId: { $in: ids } });
+  await Favorite.deleteMany({ customId: { $in: ids } });
+  if (favUsers.length) {
+    await Favorite.bulkWrite(favUsers.map(userId => ({
+      updateOne: { filter: { userId, customId: keepId }, update: { $setOnInsert: { savedAt: new Date() } }, upsert: true }
+    })));
+  }
+  await Request.updateMany({ fulfilledWith: { $in: ids } }, { $set: { fulfilledWith: keepId } });
+
+  for (const id of ids) await trashFile(id, actorId);
+  await File.updateOne({ _id: keep._id }, { $inc: { downloads }, $addToSet: { aliases: { $each: aliases } } });
+  await audit(actorId, 'file.merge', keepId, { merged: ids, downloads });
+  return { keep, merged: ids, downloads };
+}
+
+function parseSize(text) {
+  const m = (text || '').match(/([\d.]+)\s*(GB|MB|KB)/i);
+  return m ? Math.round(Number(m[1]) * { gb: 1e9, mb: 1e6, kb: 1e3 }[m[2].toLowerCase()]) : undefined;
+}
+
+// Files indexed before duplicate detection only have the formatted size
+async function backfillFileBytes() {
+  const cursor = File.find({ file_bytes: { $exists: false } }, { file_size: 1 }).lean().cursor();
+  let ops = [];
+  for await (const f of cursor) {
+    const bytes = parseSize(f.file_size);
+    if (!bytes) continue;
+    ops.push({ updateOne: { filter: { _id: f._id }, update: { $set: { file_bytes: bytes } } } });
+    if (ops.length >= 500) {
+      await File.bulkWrite(ops);
+      ops = [];
+    }
+  }
+  if (ops.length) await File.bulkWrite(ops);
+}
+
+backfillFileBytes().catch(err => console.error('File Size Backfill Error:', err.message));
+
+// --- BACKUP & RESTORE ---
+// Portable dumps of the catalog, bundles, users, favorites and ID counters as JSON Lines (all collections, one
+// `collection` field per line) or CSV (one collection per file). Search fields are rebuilt on import and
+// series are carried by title, so a dump can be loaded into another database.
+const BACKUP_MODELS = { files: File, bundles: Bundle, users: User, favorites: Favorite, counters: Counter };
+const IMPORT_CONFLICTS = ['skip', 'overwrite', 'renumber'];
+const IMPORT_BATCH = 500;
+
+// One line per document (plus a header); JSON Lines starts with a "meta" line
+async function* backupLines(format, collections) {
+  if (format === 'jsonl') yield JSON.stringify({ collection: 'meta', version: 1, exported_at: new Date() });
+
+  for (const name of collections) {
+    const seriesTitles = name === 'files' ? new Map((await Series.find({}, { seriesId: 1, title: 1 }).lean()).map(s => [s.seriesId, s.title])) : null;
+    if (format === 'csv') yield BACKUP_FIELDS[name].join(',');
+
+    for await (const doc of BACKUP_MODELS[name].find().sort({ _id: 1 }).lean().cursor()) {
+      if (seriesTitles && doc.seriesId) doc.series_title = seriesTitles.get(doc.seriesId);
+      yield backupLine(format, name, doc);
+    }
+  }
+}
+
+function backupRecordError(collection, record) {
+  if (collection === 'files') {
+    if (!record.file_id) return 'missing file_id';
+    if (!record.clean_title && !record.file_name) return 'missing clean_title and file_name';
+    if (record.customId && !/^F\d{4,}$/.test(record.customId)) return `bad customId "${record.customId}"`;
+  } else if (collection === 'bundles') {
+    if (!/^B\d{4,}$/.test(record.bundleId || '')) return 'missing or bad bundleId';
+    if (!Array.isArray(record.items) || record.items.length < 2) return 'a bundle needs at least 2 items';
+    if (record.kind && !Bundle.schema.path('kind').enumValues.includes(record.kind)) return `bad kind "${record.kind}"`;
+  } else if (collection === 'users') {
+    if (!/^\d+$/.test(String(record.userId ?? ''))) return 'missing or bad userId';
+    if (record.role && !User.schema.path('role').enumValues.includes(record.role)) return `bad role "${record.role}"`;
+  } else if (collection === 'favorites') {
+    if (!record.userId || !record.customId) return 'missing userId or customId';
+  } else if (collection === 'counters') {
+    if (!record._id || !Number.isInteger(Number(record.seq))) return 'missing _id or seq';
+  } else {
+    return `unknown collection "${collection}"`;
+  }
+  return null;
+}
+
+// Counters only move forward, and the file counter is raised past every imported ID first, so
+// renumbered files and future uploads never collide with them. File conflicts:
+//   same file_id/file_unique_id under another ID -> always skipped (favorites follow the existing ID)
+//   same customId, different file               -> `conflict`: skip, overwrite, or renumber via nextSequence
+// Bundles follow their files to wherever they were imported. The same bundle (kind and items) under another
+// ID is never imported twice; a bundleId taken by a different bundle is handled by `conflict` like files.
+// Users that already exist are skipped unless `conflict` is "overwrite"; favorites are only ever added.
+async function importBackup(entries, { dryRun = false, conflict = 'skip' } = {}) {
+  const report = {
+    dryRun,
+    conflict,
+    files: { inserted: 0, updated: 0, renumbered: 0, skipped: 0, duplicates: 0, invalid: 0 },
+    bundles: { inserted: 0, updated: 0, renumbered: 0, skipped: 0, duplicates: 0, invalid: 0 },
+    users: { inserted: 0, updated: 0, skipped: 0, invalid: 0 },
+    favorites: { inserted: 0, skipped: 0, invalid: 0 },
+    counters: { updated: 0, invalid: 0 },
+    errors: []
+  };
+  const addError = (line, message) => report.errors.length < 20 && report.errors.push(`line ${line}: ${message}`);
+  const valid = { files: [], bundles: [], users: [], favorites: [], counters: [] };
+  for (const entry of entries) {
+    const error = entry.error || backupRecordError(entry.collection, entry.record);
+    if (!error) valid[entry.collection].push(entry);
+    else {
+      if (report[entry.collection]) report[entry.collection].invalid++;
+      addError(entry.line, error);
+    }
+  }
+
+  // Counters
+  const seqs = new Map();
+  for (const { record } of valid.counters) seqs.set(record._id, Math.max(seqs.get(record._id) || 0, Number(record.seq)));
+  const highestFile = valid.files.reduce((max, { record }) => Math.max(max, Number(record.customId?.slice(1)) || 0), 0);
+  if (highestFile) seqs.set('file', Math.max(seqs.get('file') || 0, highestFile));
+  const highestBundle = valid.bundles.reduce((max, { record }) => Math.max(max, Number(record.bundleId.slice(1)) || 0), 0);
+  if (highestBundle) seqs.set('bundle', Math.max(seqs.get('bundle') || 0, highestBundle));
+  for (const [_id, seq] of seqs) {
+    if (!dryRun) await Counter.updateOne({ _id }, { $max: { seq } }, { upsert: true });
+    report.counters.updated++;
+  }
+
+  // Files
+  const remap = new Map(); // Backup customId -> catalog customId (null = not imported)
+  const importedIds = new Set();
+  const importedFiles = new Map(); // file_id / file_unique_id -> customId, for duplicates inside the backup
+  for (let i = 0; i < valid.files.length; i += IMPORT_BATCH) {
+    const batch = valid.files.slice(i, i + IMPORT_BATCH).map(e => e.record);
+    const existing = await File.find({
+      $or: [
+        { customId: { $in: batch.map(r => r.customId).filter(Boolean) } },
+        { file_id: { $in: batch.map(r => r.file_id) } },
+        { file_unique_id: { $in: batch.map(r => r.file_unique_id).filter(Boolean) } }
+      ]
+    }, { customId: 1, file_id: 1, file_unique_id: 1 }).lean();
+    const byCustomId = new Map(existing.map(f => [f.customId, f]));
+    const owners = new Map(existing.flatMap(f => [[f.file_id, f.customId], ...(f.file_unique_id ? [[f.file_unique_id, f.customId]] : [])]));
+
+    const ops = [];
+    for (const record of batch) {
+      const owner = owners.get(record.file_id) ?? owners.get(record.file_unique_id)
+        ?? importedFiles.get(record.file_id) ?? importedFiles.get(record.file_unique_id);
+      if (owner && owner !== record.customId) {
+        report.files.duplicates++;
+        if (record.customId) remap.set(record.customId, owner);
+        continue;
+      }
+
+      // `owner` is now unset, or this same file already filed under this same ID
+      let customId = record.customId;
+      let action = 'inserted';
+      if (owner) {
+        if (conflict !== 'overwrite' || importedIds.has(customId)) {
+          report.files.skipped++;
+          continue;
+        }
+        action = 'updated';
+      } else if (customId && (byCustomId.has(customId) || importedIds.has(customId))) {
+        // The ID belongs to a different file
+        if (conflict === 'overwrite' && !importedIds.has(customId)) action = 'updated';
+        else if (conflict === 'skip') {
+          report.files.skipped++;
+          if (!importedIds.has(customId)) remap.set(customId, null);
+          continue;
+        } else action = 'renumbered';
+      } else if (!customId) {
+        action = 'renumbered';
+      }
+
+      if (action === 'renumbered') {
+        customId = dryRun ? `new:${report.files.renumbered}` : await nextSequence();
+        if (record.customId) remap.set(record.customId, customId);
+      }
+      report.files[action]++;
+      importedIds.add(customId);
+      importedFiles.set(record.file_id, customId);
+      if (record.file_unique_id) importedFiles.set(record.file_unique_id, customId);
+      if (dryRun) continue;
+
+      const { series_title, ...fields } = record;
+      const clean_title = record.clean_title || cleanFileName(record.file_name);
+      const attributes = fileAttributes(clean_title, record.tags || []);
+      const series = series_title ? await findOrCreateSeries(series_title) : null;
+      const doc = { ...fields, customId, clean_title, attributes, search_grams: generateSearchGrams(attributes), seriesId: series?.seriesId };
+      ops.push(action === 'updated' ? { replaceOne: { filter: { customId }, replacement: doc } } : { insertOne: { document: doc } });
+    }
+    if (ops.length) await File.bulkWrite(ops, { ordered: false });
+  }
+
+  // Bundles, with their items pointed at wherever their files ended up
+  const bundleRemap = new Map(); // Backup bundleId -> catalog bundleId (null = not imported)
+  const importedBundles = new Set();
+  for (const { record } of valid.bundles) {
+    const items = [...new Set(record.items.map(id => (remap.has(id) ? remap.get(id) : id)).filter(Boolean))];
+    const kind = record.kind || 'collection';
+    if (items.length < 2) {
+      report.bundles.skipped++;
+      bundleRemap.set(record.bundleId, null);
+      continue;
+    }
+
+    const same = await Bundle.findOne({ kind, items }, { bundleId: 1 }).lean();
+    if (same && same.bundleId !== record.bundleId) {
+      report.bundles.duplicates++;
+      bundleRemap.set(record.bundleId, same.bundleId);
+      continue;
+    }
+
+    let bundleId = record.bundleId;
+    let action = 'inserted';
+    if (same || importedBundles.has(bundleId) || await Bundle.exists({ bundleId })) {
+      if (conflict === 'overwrite' && !importedBundles.has(bundleId)) action = 'updated';
+      else if (conflict === 'skip' || same) {
+        report.bundles.skipped++;
+        if (!same && !importedBundles.has(bundleId)) bundleRemap.set(bundleId, null);
+        continue;
+      } else action = 'renumbered';
+    }
+
+    if (action === 'renumbered') {
+      bundleId = dryRun ? `new:${report.bundles.renumbered}` : await nextSequence('bundle', 'B');
+      bundleRemap.set(record.bundleId, bundleId);
+    }
+    report.bundles[action]++;
+    importedBundles.add(bundleId);
+    if (dryRun) continue;
+
+    const attributes = fileAttributes(cleanFileName(record.title || bundleId));
+    await Bundle.replaceOne(
+      { bundleId },
+      { ...record, bundleId, kind, items, attributes, search_grams: generateSearchGrams(attributes) },
+      { upsert: true }
+    );
+  }
+
+  // Users
+  for (let i = 0; i < valid.users.length; i += IMPORT_BATCH) {
+    const batch = valid.users.slice(i, i + IMPORT_BATCH).map(e => ({ ...e.record, userId: String(e.record.userId) }));
+    const existing = new Set((await User.find({ userId: { $in: batch.map(r => r.userId) } }, { userId: 1 }).lean()).map(u => u.userId));
+    const ops = [];
+    const updated = [];
+    for (const record of batch) {
+      if (existing.has(record.userId) && conflict !== 'overwrite') {
+        report.users.skipped++;
+        continue;
+      }
+      existing.has(record.userId) ? updated.push(record.userId) : report.users.inserted++;
+      existing.add(record.userId);
+      ops.push({ updateOne: { filter: { userId: record.userId }, update: { $set: record }, upsert: true } });
+    }
+    report.users.updated += updated.length;
+    if (dryRun || !ops.length) continue;
+    await User.bulkWrite(ops, { ordered: false });
+    if (updated.length) await redis.del(...updated.map(id => `access:${id}`));
+  }
+
+  // Favorites, pointed at wherever their file or bundle ended up
+  const favoriteRemap = new Map([...remap, ...bundleRemap]);
+  for (let i = 0; i < valid.favorites.length; i += IMPORT_BATCH) {
+    const batch = valid.favorites.slice(i, i + IMPORT_BATCH)
+      .map(e => ({ ...e.record, userId: String(e.record.userId), customId: favoriteRemap.has(e.record.customId) ? favoriteRemap.get(e.record.customId) : e.record.customId }));
+    const ids = batch.map(r => r.customId).filter(Boolean);
+    const known = new Set([
+      ...(await File.find({ customId: { $in: ids } }, { customId: 1 }).lean()).map(f => f.customId),
+      ...(await Bundle.find({ bundleId: { $in: ids } }, { bundleId: 1 }).lean()).map(b => b.bundleId)
+    ]);
+    const saved = new Set((await Favorite.find({ $or: batch.map(r => ({ userId: r.userId, customId: r.customId })) }, { userId: 1, customId: 1 }).lean())
+      .map(f => `${f.userId}:${f.customId}`));
+
+    const ops = [];
+    for (const record of batch) {
+      const key = `${record.userId}:${record.customId}`;
+      if (!record.customId || (!known.has(record.customId) && !importedIds.has(record.customId) && !importedBundles.has(record.customId)) || saved.has(key)) {
+        report.favorites.skipped++;
+        continue;
+      }
+      saved.add(key);
+      report.favorites.inserted++;
+      ops.push({
+        updateOne: {
+          filter: { userId: record.userId, customId: record.customId },
+          update: { $setOnInsert: { savedAt: record.savedAt || new Date() } },
+          upsert: true
+        }
+      });
+    }
+    if (!dryRun && ops.length) await Favorite.bulkWrite(ops, { ordered: false });
+  }
+
+  return report;
+}
+
+function importReportText(report, source) {
+  const line = (label, counts) => `${label}: ${Object.entries(counts).filter(([, n]) => n).map(([k, n]) => `${n} ${k}`).join(', ') || 'nothing'}`;
+  return `📥 <b>${report.dryRun ? 'Import Check (dry run)' : 'Import Finished'}</b>${source ? ` · ${source}` : ''}\n` +
+    `Conflicts: ${report.conflict}\n\n` +
+    [line('Files', report.files), line('Bundles', report.bundles), line('Users', report.users), line('Favorites', report.favorites), line('Counters', report.counters)].join('\n') +
+    (report.errors.length ? `\n\n<b>Problems:</b>\n${report.errors.join('\n')}` : '');
+}
+
+// --- BULK INDEXING ---
+const AUTO_INDEX_RULES = {
+  minBytes: (Number(AUTO_INDEX_MIN_SIZE_MB) || 0) * 1e6,
+  maxBytes: (Number(AUTO_INDEX_MAX_SIZE_MB) || 0) * 1e6,
+  extensions: AUTO_INDEX_EXTENSIONS.split(',').map(e => e.trim().toLowerCase().replace(/^\./, '')).filter(Boolean),
+  captionPattern: AUTO_INDEX_CAPTION_PATTERN ? new RegExp(AUTO_INDEX_CAPTION_PATTERN, 'i') : null
+};
+
+let activeIndexRun = null; // Only one backfill at a time
+
+function isStorageChannel(chat) {
+  return STORAGE_CHANNELS.has(String(chat.id)) || (chat.username && STORAGE_CHANNELS.has(`@${chat.username}`));
+}
+
+// Returns why a file can't be auto-approved, or null if it passes every rule
+function autoIndexRejection(msg, data) {
+  const file = msg.video || msg.document;
+  const rules = AUTO_INDEX_RULES;
+
+  if (!data.attributes.length || data.clean_title === 'Unknown') return 'no usable title';
+  if (rules.minBytes && file.file_size < rules.minBytes) return `smaller than ${formatSize(rules.minBytes)}`;
+  if (rules.maxBytes && file.file_size > rules.maxBytes) return `larger than ${formatSize(rules.maxBytes)}`;
+
+  const ext = file.file_name?.includes('.') ? file.file_name.split('.').pop().toLowerCase() : null;
+  if (msg.document && rules.extensions.length && !rules.extensions.includes(ext)) return `extension .${ext || '?'} not allowed`;
+
+  if (rules.captionPattern && !rules.captionPattern.test(msg.caption || file.file_name || '')) return 'caption does not match the pattern';
+  return null;
+}
+
+// Outcome: 'indexed' | 'review' | 'duplicate' | 'skipped'
+async function indexChannelMessage(msg, channelId) {
+  if (!msg.video && !msg.document) return 'skipped';
+
+  const data = buildUploadData(msg);
+  data.duplicates = await findDuplicates(data);
+  if (data.duplicates.some(d => d.reason === 'same file')) return 'duplicate';
+
+  const reason = data.duplicates.length ? 'possible duplicate' : autoIndexRejection(msg, data);
+  if (reason) {
+    if (!INDEX_REVIEW_CHAT) return 'skipped';
+    await sendUploadReview(INDEX_REVIEW_CHAT, INDEX_REVIEW_CHAT, data, `⚠️ <b>Needs review</b> (${escapeHtml(channelId)} #${msg.message_id}): ${escapeHtml(reason)}`);
+    return 'review';
+  }
+
+  await publishFile(data, `channel:${channelId}`);
+  return 'indexed';
+}
+
+// Per-message 400s: the message was deleted or is a service message, so there is nothing to index.
+// Any other 400/403 (chat not found, bot not an admin, protected content) fails every message alike.
+const MISSING_MESSAGE_ERRORS = /message to forward not found|message can't be forwarded|MESSAGE_ID_INVALID/i;
+
+function indexRunReport(run, done) {
+  const { stats } = run;
+  const processed = Object.values(stats).reduce((a, b) => a + b, 0);
+  const title = run.apiError ? '❌ <b>Indexing Stopped</b>' : done ? '✅ <b>Indexing Complete</b>' : '📥 <b>Indexing...</b>';
+  return `${title}${run.cancelled ? ' (cancelled)' : ''}
+
+Channel: ${run.channel}
+Messages: ${run.from}-${run.to} (${processed}/${run.to - run.from + 1})
+
+Indexed: ${stats.indexed}
+Sent to review: ${stats.review}
+Duplicates: ${stats.duplicate}
+Skipped (no file/missing): ${stats.skipped}
+API errors: ${stats.apiErrors}
+Errors: ${stats.errors}${run.apiError ? `\n\n⚠️ Telegram refused: ${escapeHtml(run.apiError)}\nCheck the channel ID and that the bot is an admin there.` : ''}`;
+}
+
+// Bots can't read channel history, so each message is forwarded here, indexed, then deleted
+async function runChannelBackfill(chatId, channel, from, to) {
+  const run = { channel, from, to, cancelled: false, stats: { indexed: 0, review: 0, duplicate: 0, skipped: 0, apiErrors: 0, errors: 0 }, apiError: null };
+  activeIndexRun = run;
+
+  const status = await bot.sendMessage(chatId, indexRunReport(run, false), { parse_mode: 'HTML' });
+  let lastReport = Date.now();
+
+  try {
+    for (let id = from; id <= to && !run.cancelled; id++) {
+      try {
+        const fwd = await bot.forwardMessage(chatId, channel, id, { disable_notification: true });
+        bot.deleteMessage(chatId, fwd.message_id).catch(() => { });
+        run.stats[await indexChannelMessage({ ...fwd, message_id: id }, channel)]++;
+      } catch (err) {
+        const retryAfter = err.response?.body?.parameters?.retry_after;
+        if (retryAfter) {
+          await new Promise(r => setTimeout(r, retryAfter * 1000));
+          id--; // Retry the same message
+          continue;
+        }
+        const code = err.response?.statusCode;
+        const description = err.response?.body?.description || err.message;
+        if (code === 400 && MISSING_MESSAGE_ERRORS.test(description)) run.stats.skipped++;
+        else if (code === 400 || code === 403) {
+          // Retrying the rest of the range would only fail the same way
+          run.stats.apiErrors++;
+          run.apiError = description;
+          console.error('Backfill API Error:', description);
+          break;
+        } else {
+          run.stats.errors++;
+          console.error('Backfill Error:', err.message);
+        }
+      }
+
+      if (Date.now() - lastReport > 5000) {
+        lastReport = Date.now();
+        bot.editMessageText(indexRunReport(run, false), { chat_id: chatId, message_id: status.message_id, parse_mode: 'HTML' }).catch(() => { });
+      }
+      await new Promise(r => setTimeout(r, 350));
+    }
+  } finally {
+    activeIndexRun = null;
+    await bot.editMessageText(indexRunReport(run, true), { chat_id: chatId, message_id: status.message_id, parse_mode: 'HTML' }).catch(() => { });
+  }
+}
+
+// --- BROADCAST ENGINE ---
+// Telegram allows ~30 messages/second across all chats; stay below it
+const broadcastQueue = new PQueue({ concurrency: 5, intervalCap: 20, interval: 1000 });
+const cancelledBroadcasts = new Set();
+let broadcastWorkerActive = false;
+let broadcastWorkerRecheck = false;
+
+function segmentQuery(segment) {
+  const [kind, days] = segment.split(':');
+  const since = new Date(Date.now() - Number(days) * 86400000);
+  const query = { active: { $ne: false } };
+  if (kind === 'active') query.lastSeenAt = { $gte: since };
+  if (kind === 'new') query.joinedAt = { $gte: since };
+  if (kind === 'idle') query.$or = [{ lastSeenAt: { $lt: since } }, { lastSeenAt: { $exists: false } }];
+  return query;
+}
+
+// Idempotent (unique broadcastId+userId), so a job interrupted while preparing can simply be prepared again
+async function prepareBroadcast(job) {
+  const cursor = User.find(segmentQuery(job.segment), { userId: 1, language: 1, languageCode: 1 }).lean().cursor();
+  let batch = [];
+  const flush = async () => {
+    await BroadcastRecipient.insertMany(batch, { ordered: false }).catch(err => {
+      if (err.code !== 11000 && !err.writeErrors) throw err;
+    });
+    batch = [];
+  };
+
+  for await (const user of cursor) {
+    batch.push({ broadcastId: job._id, userId: user.userId, lang: user.language || pickLanguage(user.languageCode) });
+    if (batch.length >= 1000) await flush();
+  }
+  if (batch.length) await flush();
+
+  const total = await BroadcastRecipient.countDocuments({ broadcastId: job._id });
+  await Broadcast.updateOne({ _id: job._id, status: 'preparing' }, { $set: { status: 'queued', total } });
+}
+
+function broadcastStatusText(job) {
+  const done = job.sent + job.blocked + job.failed;
+  const pct = job.total ? Math.floor(done / job.total * 100) : 100;
+  const title = {
+    queued: '⏳ <b>Broadcast Queued</b>',
+    running: '🚀 <b>Broadcasting...</b>',
+    done: '✅ <b>Broadcast Complete</b>',
+    cancelled: '🛑 <b>Broadcast Cancelled</b>'
+  }[job.status] || '🚀 <b>Broadcast</b>';
+
+  return `${title}\n\nSegment: ${job.segment}\nProgress: ${done}/${job.total} (${pct}%)\n\nSent: ${job.sent}\nBlocked: ${job.blocked}\nFailed: ${job.failed}`;
+}
+
+async function updateBroadcastStatus(jobId) {
+  const job = await Broadcast.findById(jobId).lean();
+  if (!job?.statusMessageId) return;
+  await bot.editMessageText(broadcastStatusText(job), {
+    chat_id: job.chatId,
+    message_id: job.statusMessageId,
+    parse_mode: 'HTML'
+  }).catch(() => { }); // "message is not modified" is expected between ticks
+}
+
+// Text after a "[hi]" line is the Hindi variant, and so on; text before the first tag goes to everyone else
+function parseBroadcastVariants(text) {
+  const variants = {};
+  let lang = null;
+  const fallback = [];
+  for (const line of text.split('\n')) {
+    const tag = line.match(/^\[([a-z]{2})\]\s*(.*)$/i);
+    if (tag && LOCALES[tag[1].toLowerCase()]) {
+      lang = tag[1].toLowerCase();
+      variants[lang] = tag[2];
+    } else if (lang) {
+      variants[lang] += `\n${line}`;
+    } else {
+      fallback.push(line);
+    }
+  }
+  for (const code of Object.keys(variants)) variants[code] = variants[code].trim();
+  return { text: fallback.join('\n').trim() || variants[DEFAULT_LANG], variants };
+}
+
+async function sendToRecipient(job, recipient) {
+  const { userId } = recipient;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      if (job.mode === 'copy') {
+        // Copy message (supports images, videos, etc.)
+        await bot.copyMessage(userId, job.sourceChatId, job.sourceMessageId);
+      } else {
+        await bot.sendMessage(userId, job.variants?.[recipient.lang] || job.text, { parse_mode: 'HTML' });
+      }
+      return { state: 'sent' };
+    } catch (err) {
+      const retryAfter = err.response?.body?.parameters?.retry_after;
+      if (retryAfter) {
+        // A 429 applies to the whole bot, so hold the queue until Telegram lets us continue
+        broadcastQueue.pause();
+        await new Promise(r => setTimeout(r, retryAfter * 1000));
+        broadcastQueue.start();
+        continue;
+      }
+      // Error 403 means user blocked bot (or deleted their account)
+      if (err.response?.statusCode === 403) return { state: 'blocked', error: err.message };
+      return { state: 'failed', error: err.message };
+    }
+  }
+  return { state: 'failed', error: 'Rate limited too many times' };
+}
+
+async function runBroadcast(jobId) {
+  const job = await Broadcast.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'running' } },
+    { new: true }
+  ).lean();
+  if (!job) return;
+
+  const key = String(jobId);
+  const ticker = setInterval(() => updateBroadcastStatus(jobId), 3000);
+
+  try {
+    while (!cancelledBroadcasts.has(key)) {
+      // Also catches a cancel that landed before this process saw the job start
+      if (!await Broadcast.exists({ _id: jobId, status: 'running' })) break;
+      const batch = await BroadcastRecipient.find({ broadcastId: jobId, state: 'pending' }).limit(200).lean();
+      if (!batch.length) break;
+
+      await Promise.all(batch.map(recipient => broadcastQueue.add(async () => {
+        if (cancelledBroadcasts.has(key)) return;
+        const { state, error } = await sendToRecipient(job, recipient);
+        await BroadcastRecipient.updateOne({ _id: recipient._id }, { $set: { state, error } });
+        await Broadcast.updateOne({ _id: jobId }, { $inc: { [state]: 1 } });
+        if (state === 'blocked') await User.updateOne({ userId: recipient.userId }, { $set: { active: false } });
+      })));
+    }
+  } finally {
+    clearInterval(ticker);
+    cancelledBroadcasts.delete(key);
+    // Done only once nobody is left; after an error the job stays running and the worker resumes it
+    if (!await BroadcastRecipient.exists({ broadcastId: jobId, state: 'pending' })) {
+      await Broadcast.updateOne({ _id: jobId, status: 'running' }, { $set: { status: 'done', finished_at: new Date() } });
+    }
+    await updateBroadcastStatus(jobId);
+  }
+}
+
+// Runs jobs one at a time, oldest first; also resumes whatever was in flight before a restart
+async function runBroadcastWorker() {
+  if (broadcastWorkerActive) {
+    broadcastWorkerRecheck = true; // A job was added while the worker was finishing up
+    return;
+  }
+  broadcastWorkerActive = true;
+
+  try {
+    do {
+      broadcastWorkerRecheck = false;
+      for (const job of await Broadcast.find({ status: 'preparing' }).lean()) await prepareBroadcast(job);
+
+      while (true) {
+        const job = await Broadcast.findOne({ status: { $in: ['running', 'queued'] } }).sort({ created_at: 1 }).lean();
+        if (!job) break;
+        await runBroadcast(job._id);
+      }
+    } while (broadcastWorkerRecheck);
+  } catch (err) {
+    console.error('Broadcast Worker Error:', err.message);
+    setTimeout(runBroadcastWorker, 60000); // Unfinished jobs are still queued or running: try again
+  } finally {
+    broadcastWorkerActive = false;
+  }
+}
+
+// --- SERVER ---
+const app = express();
+app.use(express.json());
+
+// --- TRANSPORT ---
+// `node bot.js --replay a.json b.json [--out transcript.json]` feeds recorded updates through the
+// handlers against a stub Bot API and prints every API call they make. They use the TelegramMoviesReplay
+// database and replay:-prefixed Redis keys (see DATABASE CONNECT).
+// The backup CLIs (export.js / import.js) run the same way: stub Bot API, no server, then exit.
+const BACKUP_CLI = ['--export', '--import'].find(flag => process.argv.includes(flag));
+const TRANSPORT = REPLAY || BACKUP_CLI ? 'replay' : (BOT_TRANSPORT || (RENDER_EXTERNAL_URL ? 'webhook' : 'polling')).toLowerCase();
+const TELEGRAM_WEBHOOK_SECRET = WEBHOOK_SECRET || crypto.createHash('sha256').update(`webhook:${TELEGRAM_TOKEN}`).digest('hex');
+
+if (!['webhook', 'polling', 'replay'].includes(TRANSPORT)) {
+  console.error(`❌ Unknown BOT_TRANSPORT "${TRANSPORT}" (use webhook or polling)`);
+  process.exit(1);
+}
+if (TRANSPORT === 'webhook' && !RENDER_EXTERNAL_URL) {
+  console.error('❌ BOT_TRANSPORT=webhook needs RENDER_EXTERNAL_URL');
+  process.exit(1);
+}
+
+const replayCalls = [];
+let replayLastCallAt = 0;
+
+// Form-encoded params arrive as strings; reply_markup and friends are JSON inside them
+function parseStubParams(body = {}) {
+  const params = {};
+  for (const [key, value] of Object.entries(body)) {
+    try {
+      params[key] = typeof value === 'string' && /^[[{]/.test(value) ? JSON.parse(value) : value;
+    } catch {
+      params[key] = value;
+    }
+  }
+  return params;
+}
+
+function stubResult(method, params, messageId) {
+  if (/^(send|forward|copy|edit)/.test(method)) {
+    return {
+      message_id: messageId,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(params.chat_id) || params.chat_id, type: String(params.chat_id).startsWith('-') ? 'supergroup' : 'private' },
+      text: params.text,
+      caption: params.caption
+    };
+  }
+  if (method === 'getChatMember') return { status: 'member', user: { id: Number(params.user_id) } };
+  if (method === 'getMe') return { id: 1, is_bot: true, first_name: 'Replay', username: 'replay_bot' };
+  if (method === 'exportChatInviteLink') return 'https://t.me/+replay';
+  return true;
+}
+
+async function startStubBotApi() {
+  const stub = express();
+  stub.use(express.json());
+  stub.use(express.urlencoded({ extended: true }));
+
+  let messageId = 100000;
+  stub.use((req, res) => {
+    const method = req.path.split('/').pop();
+    const params = parseStubParams({ ...req.query, ...req.body });
+    replayCalls.push({ method, params });
+    replayLastCallAt = Date.now();
+    res.json({ ok: true, result: stubResult(method, params, ++messageId) });
+  });
+
+  const server = await new Promise(resolve => {
+    const s = stub.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+const bot = new TelegramBot(TELEGRAM_TOKEN, {
+  ...(TRANSPORT === 'polling' && { polling: { autoStart: false } }),
+  ...(TRANSPORT === 'replay' && { baseApiUrl: await startStubBotApi() })
+});
+
+if (RECORD_UPDATES_DIR && TRANSPORT !== 'replay') {
+  await mkdir(RECORD_UPDATES_DIR, { recursive: true });
+  const processUpdate = bot.processUpdate.bind(bot);
+  bot.processUpdate = update => {
+    writeFile(`${RECORD_UPDATES_DIR}/${update.update_id}.json`, JSON.stringify(update, null, 2))
+      .catch(err => console.error('Record Update Error:', err.message));
+    return processUpdate(update);
+  };
+}
+
+app.post(`/bot${TELEGRAM_TOKEN}`, (req, res) => {
+  const secret = req.get('x-telegram-bot-api-secret-token') || '';
+  if (secret.length !== TELEGRAM_WEBHOOK_SECRET.length
+    || !crypto.timingSafeEqual(Buffer.from(secret), Buffer.from(TELEGRAM_WEBHOOK_SECRET))) {
+    return res.sendStatus(401);
+  }
+
+  bot.processUpdate(req.body);
+  res.sendStatus(200);
+});
+
+app.get('/', (req, res) => res.send('Bot is running. 🚀'));
+
+// --- ADMIN PANEL ---
+// Admins log in through a one-time link from the bot's /panel command; the session is an HMAC-signed cookie.
+const PANEL_SECRET = ADMIN_PANEL_SECRET || crypto.createHash('sha256').update(`panel:${TELEGRAM_TOKEN}`).digest('hex');
+const PANEL_SESSION_MS = 12 * 3600 * 1000;
+const PANEL_PAGE_SIZE = 50;
+
+app.set('view engine', 'ejs');
+app.set('views', fileURLToPath(new URL('./views', import.meta.url)));
+
+function signPanelSession(adminId) {
+  const payload = `${adminId}.${Date.now() + PANEL_SESSION_MS}`;
+  const sig = crypto.createHmac('sha256', PANEL_SECRET).update(payload).digest('hex');
+  return `${payload}.${sig}`;
+}
+
+async function readPanelSession(req) {
+  const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith('panel_session='));
+  if (!cookie) return null;
+
+  const [adminId, expires, sig] = decodeURIComponent(cookie.slice('panel_session='.length)).split('.');
+  const expected = crypto.createHmac('sha256', PANEL_SECRET).update(`${adminId}.${expires}`).digest('hex');
+  if (!sig || sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  if (Number(expires) < Date.now() || !await hasRole(adminId, 'admin')) return null;
+  return adminId;
+}
+
+const panel = express.Router();
+panel.use(express.urlencoded({ extended: false }));
+
+panel.get('/login', async (req, res) => {
+  const adminId = req.query.token && await redis.getdel(`panel:login:${req.query.token}`);
+  if (!adminId || !await hasRole(adminId, 'admin')) return res.status(401).render('login', { error: 'This login link is invalid or has expired.' });
+
+  res.cookie('panel_session', signPanelSession(adminId), {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+    maxAge: PANEL_SESSION_MS,
+    path: '/admin'
+  });
+  res.redirect('/admin');
+});
+
+panel.use(async (req, res, next) => {
+  req.adminId = await readPanelSession(req);
+  if (!req.adminId) return res.status(401).render('login', { error: null });
+  res.locals.path = req.path;
+  next();
+});
+
+panel.get('/logout', (req, res) => {
+  res.clearCookie('panel_session', { path: '/admin' });
+  res.redirect('/admin');
+});
+
+panel.get('/', async (req, res) => {
+  const q = (req.query.q || '').trim();
+  const page = Math.max(Number(req.query.page) || 0, 0);
+
+  let files, total;
+  if (/^F\d{4,}$/i.test(q)) {
+    files = await File.find({ customId: q.toUpperCase() }).lean();
+    total = files.length;
+  } else if (q) {
+    const { results } = await searchFiles(q);
+    const ids = results.map(r => r.customId).slice(page * PANEL_PAGE_SIZE, (page + 1) * PANEL_PAGE_SIZE);
+    const byId = new Map((await File.find({ customId: { $in: ids } }).lean()).map(f => [f.customId, f]));
+    files = ids.map(id => byId.get(id)).filter(Boolean);
+    total = results.length;
+  } else {
+    files = await File.find().sort({ uploaded_at: -1 }).skip(page * PANEL_PAGE_SIZE).limit(PANEL_PAGE_SIZE).lean();
+    total = await File.countDocuments();
+  }
+
+  res.render('files', { files, total, q, page, pages: Math.ceil(total / PANEL_PAGE_SIZE) });
+});
+
+panel.get('/files/:customId', async (req, res) => {
+  const file = await findFileById(req.params.customId);
+  if (!file) return res.status(404).render('message', { title: 'Not found', message: `File ${req.params.customId} does not exist.` });
+  if (file.customId !== req.params.customId) return res.redirect(`/admin/files/${file.customId}`);
+  res.render('file', { file, saved: req.query.saved === '1' });
+});
+
+panel.post('/files/:customId', async (req, res) => {
+  const title = cleanFileName(req.body.title || '');
+  if (!title) return res.redirect(`/admin/files/${req.params.customId}`);
+
+  const tags = (req.body.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+  const attributes = fileAttributes(title, tags);
+  const autoDelete = (req.body.autoDeleteSec || '').trim();
+  await File.updateOne({ customId: req.params.customId }, {
+    $set: {
+      clean_title: title,
+      tags,
+      attributes,
+      search_grams: generateSearchGrams(attributes),
+      ...(/^\d+$/.test(autoDelete) && { autoDeleteSec: Number(autoDelete) })
+    },
+    ...(!/^\d+$/.test(autoDelete) && { $unset: { autoDeleteSec: 1 } })
+  });
+  await audit(req.adminId, 'file.edit', req.params.customId, { title, tags, autoDeleteSec: autoDelete || 'default', via: 'panel' });
+  res.redirect(`/admin/files/${req.params.customId}?saved=1`);
+});
+
+panel.post('/files/:customId/delete', async (req, res) => {
+  if (await trashFile(req.params.customId, req.adminId)) await audit(req.adminId, 'file.delete', req.params.customId, { via: 'panel' });
+  res.redirect('/admin/trash');
+});
+
+panel.get('/trash', async (req, res) => {
+  const entries = await Trash.find().sort({ deleted_at: -1 }).limit(200).lean();
+  res.render('trash', { entries, error: req.query.error, retentionDays: Math.round(TRASH_RETENTION_MS / 86400000) });
+});
+
+panel.post('/trash/:customId/restore', async (req, res) => {
+  try {
+    if (await restoreFile(req.params.customId)) await audit(req.adminId, 'file.restore', req.params.customId, { via: 'panel' });
+    res.redirect(`/admin/files/${req.params.customId}`);
+  } catch (err) {
+    res.redirect(`/admin/trash?error=${encodeURIComponent(`Could not restore ${req.params.customId}: ${err.message}`)}`);
+  }
+});
+
+panel.get('/pending', async (req, res) => {
+  const uploads = await Pending.find().sort({ created_at: -1 }).lean();
+  res.render('pending', { uploads, formatReleaseInfo });
+});
+
+panel.post('/pending/:id/:action', async (req, res) => {
+  const pending = await Pending.findById(req.params.id).lean();
+  if (!pending) return res.redirect('/admin/pending');
+
+  let note = '❌ Cancelled (admin panel).';
+  if (req.params.action === 'approve' && !await File.exists(sameFileQuery(pending))) {
+    const { customId } = await publishFile(pending, pending.adminId);
+    note = `✅ <b>Published:</b> ${customId}\n${escapeHtml(pending.clean_title)}`;
+    await audit(req.adminId, 'upload.confirm', customId, { title: pending.clean_title, via: 'panel' });
+  } else {
+    await audit(req.adminId, 'upload.cancel', null, { title: pending.clean_title, via: 'panel' });
+  }
+  await Pending.deleteOne({ _id: pending._id });
+
+  if (pending.reviewMessageId) {
+    bot.editMessageText(note, { chat_id: pending.chatId, message_id: pending.reviewMessageId, parse_mode: 'HTML' }).catch(() => { });
+  }
+  res.redirect('/admin/pending');
+});
+
+panel.get('/users', async (req, res) => {
+  const q = (req.query.q || '').trim().replace(/^@/, '');
+  const page = Math.max(Number(req.query.page) || 0, 0);
+  const query = q ? { $or: [{ userId: q }, { username: new RegExp(`^${escapeRegex(q)}`, 'i') }] } : {};
+
+  const [users, total] = await Promise.all([
+    User.find(query).sort({ lastSeenAt: -1 }).skip(page * PANEL_PAGE_SIZE).limit(PANEL_PAGE_SIZE).lean(),
+    User.countDocuments(query)
+  ]);
+
+  // Last 7 days of download counts per user, from Limit
+  const days = [...Array(7)].map((_, i) => new Date(Date.now() - i * 86400000).toISOString().slice(0, 10));
+  const limits = await Limit.find({ userId: { $in: users.map(u => u.userId) }, date: { $in: days } }).lean();
+  const usage = {};
+  for (const l of limits) (usage[l.userId] ||= {})[l.date] = l.count;
+
+  res.render('users', { users, usage, days, q, page, pages: Math.ceil(total / PANEL_PAGE_SIZE), access: Object.fromEntries(users.map(u => [u.userId, accessFor(u.userId, u)])) });
+});
+
+panel.get('/stats', async (req, res) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const since = new Date(Date.now() - 13 * 86400000);
+  const days = [...Array(14)].map((_, i) => new Date(since.getTime() + i * 86400000).toISOString().slice(0, 10));
+
+  const [totalFiles, totalUsers, activeToday, pendingCount, uploads, activity, topFiles] = await Promise.all([
+    File.countDocuments(),
+    User.countDocuments(),
+    Limit.countDocuments({ date: today }),
+    Pending.countDocuments(),
+    File.aggregate([
+      { $match: { uploaded_at: { $gte: new Date(days[0]) } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$uploaded_at' } }, count: { $sum: 1 } } }
+    ]),
+    Limit.aggregate([
+      { $match: { date: { $gte: days[0] } } },
+      { $group: { _id: '$date', users: { $sum: 1 }, downloads: { $sum: '$count' } } }
+    ]),
+    File.find().sort({ downloads: -1 }).limit(10).lean()
+  ]);
+
+  const byDay = (rows, field) => {
+    const map = new Map(rows.map(r => [r._id, r[field]]));
+    return days.map(d => ({ label: d.slice(5), value: map.get(d) || 0 }));
+  };
+
+  res.render('stats', {
+    totals: { totalFiles, totalUsers, activeToday, pendingCount },
+    charts: [
+      { title: 'Active users per day', series: byDay(activity, 'users') },
+      { title: 'Downloads per day', series: byDay(activity, 'downloads') },
+      { title: 'Uploads per day', series: byDay(uploads, 'count') }
+    ],
+    topFiles
+  });
+});
+
+app.use('/admin', panel);
+
+// --- REST API ---
+// Read-only catalog API for other front-ends. Scopes:
+//   catalog:read  search, file detail, recent, trending
+//   files:file_id also return Telegram file_id values
+//   stats:read    analytics reports (/stats/dau, queries, missing, downloads, retention, shares)
+const API_SCOPES = ['catalog:read', 'files:file_id', 'stats:read'];
+const API_MAX_LIMIT = 50;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function apiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+function apiFile(file, key) {
+  const out = {
+    id: file.customId,
+    title: file.clean_title,
+    type: file.type,
+    size: file.file_size,
+    downloads: file.downloads,
+    uploaded_at: file.uploaded_at,
+    year: file.year ?? null,
+    season: file.season ?? null,
+    episode: file.episode ?? null,
+    resolution: file.resolution ?? null,
+    source: file.source ?? null,
+    codec: file.codec ?? null,
+    languages: file.languages || [],
+    subtitles: file.subtitles || [],
+    series_id: file.seriesId ?? null
+  };
+  if (key.scopes.includes('files:file_id')) out.file_id = file.file_id;
+  return out;
+}
+
+function apiLimit(req) {
+  return Math.min(Math.max(Number(req.query.limit) || 20, 1), API_MAX_LIMIT);
+}
+
+// Keyset pagination over a sort field + _id, so pages stay stable while files are added.
+// Returns null for a malformed cursor.
+async function keysetPage(req, field) {
+  const limit = apiLimit(req);
+  const cursor = decodeCursor(req.query.cursor);
+  if (req.query.cursor && !mongoose.isValidObjectId(cursor?.id)) return null;
+
+  const query = {};
+  if (cursor) {
+    const value = field === 'uploaded_at' ? new Date(cursor.v) : cursor.v;
+    const id = new mongoose.Types.ObjectId(cursor.id);
+    query.$or = [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }];
+  }
+
+  const files = await File.find(query).sort({ [field]: -1, _id: -1 }).limit(limit + 1).lean();
+  const hasMore = files.length > limit;
+  const page = files.slice(0, limit);
+  const last = page[page.length - 1];
+  return { files: page, next_cursor: hasMore ? encodeCursor({ v: last[field], id: String(last._id) }) : null };
+}
+
+const api = express.Router();
+
+api.use(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const rawKey = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+  if (!rawKey) return apiError(res, 401, 'unauthorized', 'Missing API key');
+
+  const key = await ApiKey.findOne({ keyHash: hashApiKey(String(rawKey)), revoked: false }).lean();
+  if (!key) return apiError(res, 401, 'unauthorized', 'Invalid API key');
+  if (!key.scopes.includes('catalog:read')) return apiError(res, 403, 'forbidden', 'Key lacks the catalog:read scope');
+
+  // Fixed one-minute window per key, shared across instances through Redis
+  const window = Math.floor(Date.now() / 60000);
+  const rlKey = `apirl:${key._id}:${window}`;
+  const count = await redis.incr(rlKey);
+  if (count === 1) await redis.expire(rlKey, 60);
+
+  res.set('X-RateLimit-Limit', String(key.rateLimit));
+  res.set('X-RateLimit-Remaining', String(Math.max(key.rateLimit - count, 0)));
+  if (count > key.rateLimit) {
+    res.set('Retry-After', String(60 - Math.floor(Date.now() / 1000) % 60));
+    return apiError(res, 429, 'rate_limited', 'Too many requests');
+  }
+
+  ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date() } }).catch(() => { });
+  req.apiKey = key;
+  next();
+});
+
+api.get('/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return apiError(res, 400, 'bad_request', 'Query parameter "q" is required');
+
+  const limit = apiLimit(req);
+  const offset = Math.max(Number(decodeCursor(req.query.cursor)?.o) || 0, 0);
+  const { results } = await searchFiles(q);
+
+  const ids = results.slice(offset, offset + limit).map(r => r.customId);
+  const byId = new Map((await File.find({ customId: { $in: ids } }).lean()).map(f => [f.customId, f]));
+
+  res.json({
+    query: q,
+    total: results.length,
+    data: ids.map(id => byId.get(id)).filter(Boolean).map(f => apiFile(f, req.apiKey)),
+    next_cursor: offset + limit < results.length ? encodeCursor({ o: offset + limit }) : null
+  });
+});
+
+api.get('/files/:customId', async (req, res) => {
+  const file = await findFileById(req.params.customId.toUpperCase());
+  if (!file) return apiError(res, 404, 'not_found', 'File not found');
+  res.json({ data: apiFile(file, req.apiKey) });
+});
+
+api.get('/recent', async (req, res) => {
+  const page = await keysetPage(req, 'uploaded_at');
+  if (!page) return apiError(res, 400, 'bad_request', 'Invalid cursor');
+  const { files, next_cursor } = page;
+  res.json({ data: files.map(f => apiFile(f, req.apiKey)), next_cursor });
+});
+
+api.get('/trending', async (req, res) => {
+  // ?window=today|week ranks by recent downloads (top 50, no paging); without it, all-time downloads
+  if (req.query.window) {
+    if (!TRENDING_WINDOWS.includes(req.query.window)) return apiError(res, 400, 'bad_request', `window must be one of: ${TRENDING_WINDOWS.join(', ')}`);
+    const top = await trendingFiles(req.query.window, Math.min(Number(req.query.limit) || 20, 50));
+    return res.json({ data: top.map(({ file, downloads }) => ({ ...apiFile(file, req.apiKey), window_downloads: downloads })), next_cursor: null });
+  }
+  const page = await keysetPage(req, 'downloads');
+  if (!page) return apiError(res, 400, 'bad_request', 'Invalid cursor');
+  const { files, next_cursor } = page;
+  res.json({ data: files.map(f => apiFile(f, req.apiKey)), next_cursor });
+});
+
+api.get('/stats/:report', async (req, res) => {
+  if (!req.apiKey.scopes.includes('stats:read')) return apiError(res, 403, 'forbidden', 'Key lacks the stats:read scope');
+  if (!Object.hasOwn(STATS_REPORTS, req.params.report)) {
+    return apiError(res, 404, 'not_found', `Unknown report. Available: ${Object.keys(STATS_REPORTS).join(', ')}`);
+  }
+  const data = await analyticsReport(req.params.report, { days: req.query.days, customId: req.query.file && String(req.query.file).toUpperCase() });
+  if (!data) return apiError(res, 404, 'not_found', 'File not found');
+  res.json({ data });
+});
+
+api.use((err, req, res, next) => {
+  console.error('API Error:', err.message);
+  apiError(res, 500, 'internal', 'Internal server error');
+});
+
+app.use('/api/v1', api);
+
+// Replays only run handlers: no public server, and no workers touching real chats
+if (TRANSPORT !== 'replay') {
+  app.listen(PORT, () => console.log(`Server on port ${PORT}`));
+
+  runBroadcastWorker();
+
+  sweepAutoDeletes()
+    .then(count => count && console.log(`🧹 Caught up ${count} overdue auto-deletes`))
+    .catch(err => console.error('Auto-Delete Sweep Error:', err.message));
+  setInterval(() => sweepAutoDeletes().catch(err => console.error('Auto-Delete Sweep Error:', err.message)), 60000);
+
+  const runTrashPurge = () => purgeTrash()
+    .then(count => count && console.log(`🗑️ Purged ${count} expired trash entries`))
+    .catch(err => console.error('Trash Purge Error:', err.message));
+  runTrashPurge();
+  setInterval(runTrashPurge, 3600000);
+
+  runRecommendations();
+  setInterval(runRecommendations, RECOMMEND_INTERVAL_MS);
+}
+
+// --- BOT COMMANDS ---
+
+bot.setMyCommands([
+  { command: '/start', description: 'Start bot' },
+  { command: '/search', description: 'Search (works in groups)' },
+  { command: '/recent', description: 'New files' },
+  { command: '/trending', description: 'Popular files' },
+  { command: '/favorites', description: 'My saved files' },
+  { command: '/share', description: 'Get a link to share a file' },
+  { command: '/foryou', description: 'Recommended for you' },
+  { command: '/history', description: 'My downloads and searches' },
+  { command: '/myaccount', description: 'Check limits' },
+  { command: '/invite', description: 'Invite friends for bonus downloads' },
+  { command: '/request', description: 'Request a missing title' },
+  { command: '/watch', description: 'Get alerts for new uploads' },
+  { command: '/language', description: 'Change language' },
+]).catch(() => { });
+
+// Payloads: ref_<code> from /invite links, a signed share token (t.me/<bot>?start=<token>), or a
+// plain ID from the "get it privately" links in groups
+bot.onText(/^\/start(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+  const userId = String(msg.from.id);
+  const payload = msg.chat.type === 'private' ? match[1] : null;
+  const referral = payload?.startsWith('ref_') ? payload.slice(4) : null;
+  if (payload && await floodBlocked(msg.chat.id, userId, 'get')) return;
+  if (!referral && payload?.length > SHARE_SIG_LENGTH) return openShareLink(msg, payload);
+
+  const isNew = await saveUser(msg, { source: referral ? 'referral' : 'bot' }); // Track user
+  if (referral) await recordReferral(userId, referral, isNew);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
+  await completeReferral(userId);
+
+  const { lang } = await getAccess(userId);
+  if (payload && !referral && await deliverById(msg.chat.id, userId, payload, lang)) return;
+  await bot.sendMessage(msg.chat.id, t(lang, 'start.welcome', { name: msg.from.first_name }), { parse_mode: 'HTML' });
+});
+
+// Plain messages are only searched in private chats; in groups this (or a mention) is the way to ask
+bot.onText(/^\/search(?:@(\w+))?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  botUsername ??= (await bot.getMe()).username;
+  if (match[1] && match[1].toLowerCase() !== botUsername.toLowerCase()) return; // Meant for another bot
+  const query = match[2]?.trim() || '';
+  if (msg.chat.type !== 'private') {
+    return groupSearch(msg, query, await getGroupSettings(msg.chat)).catch(err => console.error('Group Search Error:', err.message));
+  }
+
+  const userId = String(msg.from.id);
+  if (await floodBlocked(msg.chat.id, userId, 'search')) return;
+  await saveUser(msg);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
+
+  const { lang } = await getAccess(userId);
+  if (!query) return bot.sendMessage(msg.chat.id, t(lang, 'group.usage'), { parse_mode: 'HTML' });
+  if (/^[FB]\d{4}$/i.test(query)) return deliverById(msg.chat.id, userId, query, lang);
+  await sendSearchResults(msg.chat.id, userId, query);
+});
+
+// /share F0012 [days]: a share link, optionally expiring sooner than the default (staff: later, or 0 = never)
+bot.onText(/^\/share(?:@\w+)?(?:\s+(\S+)(?:\s+(\d+))?)?$/, async (msg, match) => {
+  const userId = String(msg.from.id);
+  if (await floodBlocked(msg.chat.id, userId, 'fav')) return;
+  await saveUser(msg);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
+
+  const { lang } = await getAccess(userId);
+  const id = match[1]?.toUpperCase();
+  if (!id || !/^[FB]\d{4,}$/.test(id)) return bot.sendMessage(msg.chat.id, t(lang, 'share.usage'), { parse_mode: 'HTML' });
+  let ttlMs;
+  if (match[2] != null) {
+    ttlMs = Math.min(Number(match[2]), 365) * 86400000;
+    // Users can only make links expire sooner than SHARE_LINK_TTL_DAYS; staff can also extend it or use 0 (never)
+    if (SHARE_TTL_MS && !await hasRole(userId, 'moderator')) ttlMs = Math.min(ttlMs || SHARE_TTL_MS, SHARE_TTL_MS);
+  }
+  if (!await shareMessage(msg.chat.id, userId, id, lang, ttlMs)) return bot.sendMessage(msg.chat.id, t(lang, 'file.notFound'));
+});
+
+// Group admins: /settings shows the panel; /settings delete|hours|prefix [value] changes the rest
+bot.onText(/^\/settings(?:@\w+)?(?:\s+(\S+)(?:\s+(.+))?)?$/, async (msg, match) => {
+  if (msg.chat.type === 'private') return bot.sendMessage(msg.chat.id, '⚙️ /settings is for groups: add me to a group and send it there.');
+  if (!await canManageGroup(msg)) return bot.sendMessage(msg.chat.id, '⚠️ Only group admins can change the settings.');
+
+  if (match[1]) {
+    const field = match[1].toLowerCase();
+    const value = match[2]?.trim() || '';
+    const update = parseGroupSetting(field, value);
+    if (typeof update === 'string') return bot.sendMessage(msg.chat.id, update, { parse_mode: 'HTML' });
+    await updateGroupSettings(msg.chat, msg.from.id, update, { [field]: value });
+  }
+
+  const view = await groupSettingsView(await getGroupSettings(msg.chat));
+  bot.sendMessage(msg.chat.id, view.text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: view.keyboard } });
+});
+
+bot.onText(/\/help/, async (msg) => {
+  const userId = String(msg.from.id);
+  const { role, lang } = await getAccess(userId);
+
+  // 1. Standard Help Message for Everyone
+  let helpText = t(lang, 'help.user');
+
+  // 2. Add Staff Commands ONLY for moderators and up (staff commands stay in English)
+  if (roleAtLeast(role, 'moderator')) {
+    helpText += `\n\n🛡 <b>Moderator Commands:</b>
+/ban [user] [reason] - Ban a user (ID or @username)
+/unban [user] - Lift a ban
+/mutes - Users muted for flooding
+/unmute [user] - Lift a flood mute
+/delete [ID] - Move a file to the trash
+/trash - Recently deleted files (tap to restore)
+/restore [ID] - Restore a file from the trash
+/requests - Open user requests (reject / mark fulfilled)
+/fulfill [R0001] [F0123] - Fulfill a request with a file`;
+  }
+
+  if (roleAtLeast(role, 'admin')) {
+    helpText += `\n\n👮‍♂️ <b>Admin Commands:</b>
+/stats - Overview; /stats dau|queries|missing|downloads|retention|shares for reports
+/broadcast [message] - Send text to all users
+/broadcast (reply) - Broadcast the message you reply to
+/broadcast active:7 [message] - Target a segment (active:N, new:N, idle:N days)
+/broadcast [message] + lines like "[hi] ..." - Per-language variants
+/broadcast_cancel - Stop the running broadcast
+/setseries [ID] [Show] [S01E02] - Assign a file to a series
+/bundle [parts] [IDs] [Title] - Group files under one B#### ID (/bundle for more)
+/autodelete [ID] [seconds|off|default] - Per-file auto-delete delay
+/index [@channel] [from]-[to] - Index a storage channel range
+/index_cancel - Stop the running index
+/panel - Get a login link for the web admin panel
+/apikey - Create, list or revoke REST API keys
+/bulkdelete [query] - Trash every file matching all the words (asks first)
+/dupes - Scan the catalog for duplicates and merge them
+/export [csv] [files|bundles|users|favorites|counters] - Download a backup
+/import [skip|overwrite|renumber] (reply to an export) - Restore it (owners)
+/merge [keep ID] [ID...] - Merge duplicates into one file
+/audit [user|ID|action] - Staff action log
+/promote [user] [role] [days] - Set a role (premium grants can expire)
+/setlimit [user] [n|default] - Override a user's daily limit
+<i>Upload: Simply send a file/video to the bot to upload it.</i>`;
+  }
+
+  await bot.sendMessage(msg.chat.id, helpText, { parse_mode: 'HTML' });
+});
+
+// /stats (overview) | /stats dau|queries|missing|retention|shares [days] | /stats downloads [ID] [days]
+bot.onText(/^\/stats(?:\s+(.+))?$/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  const [report, ...args] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+  if (report) {
+    if (!Object.hasOwn(STATS_REPORTS, report.toLowerCase())) return bot.sendMessage(msg.chat.id, `❌ Unknown report. Try: ${Object.keys(STATS_REPORTS).join(', ')}`);
+    const data = await analyticsReport(report.toLowerCase(), {
+      days: args.find(a => /^\d+$/.test(a)),
+      customId: args.find(a => /^F\d{4,}$/i.test(a))?.toUpperCase()
+    });
+    if (!data) return bot.sendMessage(msg.chat.id, '❌ File not found');
+    return bot.sendMessage(msg.chat.id, reportText(data), { parse_mode: 'HTML' });
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const todayStart = windowStart(1);
+  const [totalFiles, totalUsers, activeUsers, searches, misses, downloads] = await Promise.all([
+    File.countDocuments(),
+    User.countDocuments(),
+    Limit.countDocuments({ date: today }),
+    Event.countDocuments({ type: 'search', created_at: { $gte: todayStart } }),
+    Event.countDocuments({ type: 'search', results: 0, created_at: { $gte: todayStart } }),
+    Event.countDocuments({ type: 'download', created_at: { $gte: todayStart } })
+  ]);
+
+  await bot.sendMessage(msg.chat.id,
+    `📊 <b>Stats</b>\n\nFiles: ${totalFiles}\nTotal Users: ${totalUsers}\nActive Today: ${activeUsers}\nSearches Today: ${searches} (${misses} with no results)\nDownloads Today: ${downloads}\n\n` +
+    `<b>Reports:</b> /stats dau · /stats queries · /stats missing · /stats downloads [ID] · /stats retention · /stats shares\n<i>Add a number of days, e.g. /stats queries 30</i>`,
+    { parse_mode: 'HTML' }
+  );
+});
+
+// [FEATURE 2] Admin Broadcast Command
+// /broadcast [segment] message — segments: all (default), active:7, new:30, idle:30
+bot.onText(/^\/broadcast(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const fromId = String(msg.from.id);
+
+  if (!await hasRole(fromId, 'admin')) return;
+
+  let text = match[1]?.trim();
+  const replyMsg = msg.reply_to_message;
+
+  let segment = 'all';
+  const segmentMatch = text?.match(/^(all|(?:active|new|idle):\d+)(?:\s+|$)/i);
+  if (segmentMatch) {
+    segment = segmentMatch[1].toLowerCase();
+    text = text.slice(segmentMatch[0].length).trim();
+  }
+
+  if (!text && !replyMsg) {
+    return bot.sendMessage(chatId, '⚠️ Usage:\n1. <code>/broadcast Message</code>\n2. Reply to a message with <code>/broadcast</code>\n\nOptional segment before the message: <code>active:7</code>, <code>new:30</code>, <code>idle:30</code>\nPer-language variants on their own lines: <code>[hi] ...</code>, <code>[es] ...</code>', { parse_mode: 'HTML' });
+  }
+
+  const parsed = !replyMsg && parseBroadcastVariants(text);
+  if (parsed && !parsed.text) {
+    return bot.sendMessage(chatId, '⚠️ Put the default message before the first <code>[xx]</code> line (or add an <code>[en]</code> variant).', { parse_mode: 'HTML' });
+  }
+
+  const sentMsg = await bot.sendMessage(chatId, `🚀 Preparing broadcast (${segment})...`);
+  const job = await Broadcast.create({
+    adminId: fromId,
+    chatId: String(chatId),
+    statusMessageId: sentMsg.message_id,
+    mode: replyMsg ? 'copy' : 'text',
+    text: parsed ? parsed.text : undefined,
+    variants: parsed ? parsed.variants : undefined,
+    sourceChatId: replyMsg ? String(chatId) : undefined,
+    sourceMessageId: replyMsg?.message_id,
+    segment
+  });
+
+  await audit(fromId, 'broadcast.create', job._id, { segment, mode: job.mode, languages: parsed ? Object.keys(parsed.variants) : undefined });
+  await prepareBroadcast(job);
+  runBroadcastWorker();
+});
+
+bot.onText(/^\/broadcast_cancel/, async (msg) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+
+  const jobs = await Broadcast.find({ status: { $in: ['preparing', 'queued', 'running'] } }, { _id: 1, status: 1 }).lean();
+  if (!jobs.length) return bot.sendMessage(msg.chat.id, 'No broadcast in progress.');
+
+  await Broadcast.updateMany({ _id: { $in: jobs.map(j => j._id) } }, { $set: { status: 'cancelled', finished_at: new Date() } });
+  // Only a running job has a send loop to stop; the others just never start
+  jobs.filter(j => j.status === 'running').forEach(j => cancelledBroadcasts.add(String(j._id)));
+  await audit(msg.from.id, 'broadcast.cancel', jobs.map(j => j._id).join(','));
+  await Promise.all(jobs.map(j => updateBroadcastStatus(j._id)));
+  bot.sendMessage(msg.chat.id, `🛑 Cancelled ${jobs.length} broadcast(s).`);
+});
+
+bot.onText(/\/recent/, async (msg) => {
+  await saveUser(msg);
+  const fromId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, fromId)) return;
+
+  const { lang } = await getAccess(fromId);
+  const files = await File.find().sort({ uploaded_at: -1 }).limit(10).lean();
+  if (!files.length) return bot.sendMessage(msg.chat.id, t(lang, 'recent.empty'));
+
+  const keyboard = files.map(f => [{
+    text: `📂 ${f.file_size} | ${f.clean_title}`,
+    callback_data: `GET:${f.customId}`
+  }]);
+
+  const sent = await bot.sendMessage(msg.chat.id, t(lang, 'recent.title'), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: keyboard }
+  });
+  autoDeleteMessage(msg.chat.id, sent.message_id);
+});
+
+// Most downloaded today or over the last 7 days, with buttons to switch
+async function trendingView(window, lang) {
+  const top = await trendingFiles(window);
+  const keyboard = top.map(({ file, downloads }) => [{
+    text: `🔥 ${downloads} · ${file.file_size} | ${file.clean_title}`,
+    callback_data: `GET:${file.customId}`
+  }]);
+  keyboard.push(TRENDING_WINDOWS.map(w => ({
+    text: `${w === window ? '• ' : ''}${t(lang, `trending.${w}Button`)}`,
+    callback_data: `TRENDING:${w}`
+  })));
+  return { text: `${t(lang, `trending.${window}`)}${top.length ? '' : `\n\n${t(lang, 'trending.empty')}`}`, keyboard };
+}
+
+bot.onText(/^\/trending(?:\s+(today|week))?/i, async (msg, match) => {
+  await saveUser(msg);
+  const fromId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, fromId)) return;
+
+  const { lang } = await getAccess(fromId);
+  const view = await trendingView(match[1]?.toLowerCase() || 'today', lang);
+  const sent = await bot.sendMessage(msg.chat.id, view.text, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: view.keyboard }
+  });
+  autoDeleteMessage(msg.chat.id, sent.message_id);
+});
+
+const MAX_FAVORITES = 50;
+
+bot.onText(/\/favorites/, async (msg) => {
+  await saveUser(msg);
+  if (!await verifyJoin(msg.chat.id, String(msg.from.id))) return;
+
+  const userId = String(msg.from.id);
+  const { lang } = await getAccess(userId);
+  const favs = await Favorite.find({ userId }).lean();
+  if (!favs.length) return bot.sendMessage(msg.chat.id, t(lang, 'favorites.empty'));
+
+  const fileIds = favs.map(f => f.customId);
+  const [files, bundles] = await Promise.all([
+    File.find({ customId: { $in: fileIds } }).lean(),
+    Bundle.find({ bundleId: { $in: fileIds } }).lean()
+  ]);
+
+  if (!files.length && !bundles.length) {
+    return bot.sendMessage(msg.chat.id, t(lang, 'favorites.gone'));
+  }
+
+  const keyboard = [
+    ...bundles.map(b => [{ text: t(lang, 'favorites.bundle', { count: b.items.length, title: b.title }), callback_data: `BUNDLE:${b.bundleId}` }]),
+    ...files.map(f => [{ text: `⭐ ${f.file_size} | ${f.clean_title}`, callback_data: `GET:${f.customId}` }])
+  ];
+
+  const sent = await bot.sendMessage(msg.chat.id, t(lang, 'favorites.title', { count: keyboard.length }), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: keyboard.slice(0, 10) }
+  });
+  autoDeleteMessage(msg.chat.id, sent.message_id);
+});
+
+// Start of the user's visible history: their last /history clear, if any
+async function historySince(userId) {
+  const user = await User.findOne({ userId }, { historyClearedAt: 1 }).lean();
+  return user?.historyClearedAt || new Date(0);
+}
+
+// Recent downloads (with re-send buttons) and searches, from the analytics log
+bot.onText(/^\/history(?:\s+(clear))?/, async (msg, match) => {
+  await saveUser(msg);
+  const userId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
+  const { lang } = await getAccess(userId);
+
+  if (match[1]) {
+    await User.updateOne({ userId }, { $set: { historyClearedAt: new Date() } });
+    return bot.sendMessage(msg.chat.id, t(lang, 'history.cleared'));
+  }
+
+  const since = await historySince(userId);
+  const [downloads, searches] = await Promise.all([
+    Event.aggregate([
+      { $match: { userId, type: 'download', created_at: { $gte: since } } },
+      { $sort: { created_at: -1 } },
+      { $limit: 200 },
+      { $group: { _id: '$customId', last: { $first: '$created_at' } } },
+      { $sort: { last: -1 } },
+      { $limit: 10 }
+    ]),
+    Event.aggregate([
+      { $match: { userId, type: 'search', created_at: { $gte: since } } },
+      { $sort: { created_at: -1 } },
+      { $limit: 100 },
+      { $group: { _id: '$query', last: { $first: '$created_at' } } },
+      { $sort: { last: -1 } },
+      { $limit: 5 }
+    ])
+  ]);
+  const files = await File.find({ customId: { $in: downloads.map(d => d._id) } }, { customId: 1, clean_title: 1 }).lean();
+  const titles = new Map(files.map(f => [f.customId, f.clean_title]));
+  const resend = downloads.filter(d => titles.has(d._id));
+  if (!resend.length && !searches.length) return bot.sendMessage(msg.chat.id, t(lang, 'history.empty'));
+
+  const keyboard = [
+    ...resend.map(d => [{ text: `🔁 ${d.last.toISOString().slice(5, 10)} | ${titles.get(d._id)}`, callback_data: `GET:${d._id}` }]),
+    // Re-runs the search inline, in this chat
+    ...searches.map(q => [{ text: `🔎 ${q._id}`, switch_inline_query_current_chat: q._id }])
+  ];
+  const sent = await bot.sendMessage(msg.chat.id, t(lang, 'history.title'), { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+  autoDeleteMessage(msg.chat.id, sent.message_id);
+});
+
+// Recommendations from the user's recent downloads; trending this week until there is a history
+bot.onText(/^\/foryou/, async (msg) => {
+  await saveUser(msg);
+  const userId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
+  const { lang } = await getAccess(userId);
+
+  const since = new Date(Math.max(windowStart(RECOMMEND_WINDOW_DAYS), await historySince(userId)));
+  const recent = await Event.aggregate([
+    { $match: { userId, type: 'download', created_at: { $gte: since } } },
+    { $group: { _id: '$customId', last: { $max: '$created_at' } } },
+    { $sort: { last: -1 } },
+    { $limit: RECOMMEND_USER_FILES }
+  ]);
+  const downloaded = new Set(recent.map(r => r._id));
+  let files = downloaded.size ? await recommendedFiles([...downloaded], 10, downloaded) : [];
+  let title = t(lang, 'recommend.title');
+  if (!files.length) {
+    files = (await trendingFiles('week')).map(r => r.file).filter(f => !downloaded.has(f.customId));
+    title = t(lang, 'recommend.fallback');
+  }
+  if (!files.length) return bot.sendMessage(msg.chat.id, t(lang, 'recommend.empty'));
+
+  const sent = await bot.sendMessage(msg.chat.id, title, {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: files.map(f => [{ text: `✨ ${f.file_size} | ${f.clean_title}`, callback_data: `GET:${f.customId}` }]) }
+  });
+  autoDeleteMessage(msg.chat.id, sent.message_id);
+});
+
+bot.onText(/\/myaccount/, async (msg) => {
+  await saveUser(msg);
+  const userId = String(msg.from.id);
+  const [used, { role, limit, baseLimit, bonus, premiumUntil, lang }] = await Promise.all([getUserLimitCount(userId), getAccess(userId)]);
+  const remaining = Math.max(limit - used, 0);
+  const expiry = premiumUntil ? t(lang, 'account.until', { date: new Date(premiumUntil).toISOString().slice(0, 10) }) : '';
+
+  await bot.sendMessage(msg.chat.id,
+    t(lang, 'account.summary', {
+      role: t(lang, `role.${role}`),
+      expiry,
+      used,
+      remaining: formatLimit(remaining, lang),
+      limit: formatLimit(baseLimit, lang)
+    }) + (bonus ? `\n${t(lang, 'account.bonus', { bonus })}` : ''),
+    { parse_mode: 'HTML' }
+  );
+});
+
+// /invite: your referral link and how it's going | /invite top: the leaderboard
+bot.onText(/^\/invite(?:@\w+)?(?:\s+(top))?/, async (msg, match) => {
+  await saveUser(msg);
+  const userId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
+  const { lang, bonus } = await getAccess(userId);
+
+  if (match[1]) {
+    const top = await referralLeaderboard();
+    if (!top.length) return bot.sendMessage(msg.chat.id, t(lang, 'invite.noLeaders'));
+    const lines = top.map((r, i) => `${i + 1}. ${r.userId === userId ? '<b>' : ''}${escapeHtml(r.name)}${r.userId === userId ? '</b>' : ''} · ${r.count}`);
+    return bot.sendMessage(msg.chat.id, `${t(lang, 'invite.leaderboard', { days: REFERRAL_LEADERBOARD_DAYS })}\n\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+  }
+
+  const [code, counted, pending] = await Promise.all([
+    referralCode(userId),
+    Referral.countDocuments({ referrerId: userId, status: 'counted' }),
+    Referral.countDocuments({ referrerId: userId, status: 'pending' })
+  ]);
+  const link = await startLink(`ref_${code}`);
+  const duration = REFERRAL_BONUS_MS ? t(lang, 'invite.forDays', { count: REFERRAL_BONUS_MS / 86400000 }) : '';
+  await bot.sendMessage(msg.chat.id, t(lang, 'invite.summary', { link, bonus: REFERRAL_BONUS_NUM, duration, max: REFERRAL_MAX_BONUS_NUM, count: counted, pending, active: bonus }), {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: {
+      inline_keyboard: [[{ text: t(lang, 'share.send'), url: `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(t(lang, 'invite.shareText'))}` }]]
+    }
+  });
+});
+
+bot.onText(/^\/language/, async (msg) => {
+  await saveUser(msg);
+  const { lang } = await getAccess(msg.from.id);
+
+  const keyboard = Object.keys(LOCALES).map(code => [{
+    text: `${code === lang ? '✅ ' : ''}${t(code, 'language.name')}`,
+    callback_data: `LANG:${code}`
+  }]);
+  bot.sendMessage(msg.chat.id, t(lang, 'language.prompt'), { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } });
+});
+
+// --- ADMIN UPLOAD & SEARCH HANDLER ---
+bot.on('message', async (msg) => {
+  const chatId = msg.chat.id;
+  const fromId = String(msg.from.id);
+  const text = msg.text?.trim();
+
+  if (text && text.startsWith('/')) return; // Ignore commands
+
+  // Groups: only messages meant for the bot are searched; uploads and corrections stay in private chats
+  if (msg.chat.type !== 'private') {
+    try {
+      botUsername ??= (await bot.getMe()).username;
+      if (msg.new_chat_members?.some(m => m.username === botUsername)) {
+        await getGroupSettings(msg.chat);
+        const { lang } = await getAccess(fromId);
+        return await bot.sendMessage(chatId, t(lang, 'group.welcome'), { parse_mode: 'HTML' });
+      }
+
+      const group = await getGroupSettings(msg.chat);
+      const query = await groupQuery(msg, group);
+      if (query !== null) await groupSearch(msg, query, group);
+    } catch (err) {
+      console.error('Group Search Error:', err.message);
+    }
+    return;
+  }
+
+  // 1. Handle Admin File Upload (Bypasses Force Join)
+  if ((msg.video || msg.document) && await hasRole(fromId, 'admin')) {
+    await sendUploadReview(chatId, fromId, { ...buildUploadData(msg), messageId: msg.message_id });
+    return;
+  }
+
+  // Admin corrections: a reply to a "Review Upload" message with "field: value" lines
+  if (text && msg.reply_to_message && await hasRole(fromId, 'admin')) {
+    const pending = await Pending.findOne({ chatId: String(chatId), reviewMessageId: msg.reply_to_message.message_id }).lean();
+    const update = pending && parseReleaseCorrections(text);
+    if (update) {
+      const updated = await Pending.findOneAndUpdate({ _id: pending._id }, { $set: update }, { new: true }).lean();
+      await bot.editMessageText(reviewUploadText(updated), {
+        chat_id: chatId,
+        message_id: updated.reviewMessageId,
+        parse_mode: 'HTML',
+        reply_markup: reviewUploadKeyboard(updated)
+      });
+      autoDeleteMessage(chatId, msg.message_id, 2000);
+      return;
+    }
+    if (pending) {
+      const temp = await bot.sendMessage(chatId, '⚠️ Could not read that. Use lines like <code>year: 2019</code> or <code>audio: hindi, english</code>.', { parse_mode: 'HTML' });
+      autoDeleteMessage(chatId, temp.message_id, AUTO_DELETE_MS.notice);
+      return;
+    }
+  }
+
+  // 2. Handle User Search
+  if (text) {
+    if (await floodBlocked(chatId, fromId, 'search')) return;
+    await saveUser(msg); // Track User
+    // [FEATURE 1] Check Force Join Before Search
+    if (!await verifyJoin(chatId, fromId)) return;
+
+    // A. Search by ID
+    if (/^[FB]\d{4}$/i.test(text)) {
+      const { lang } = await getAccess(fromId);
+      await deliverById(chatId, fromId, text, lang);
+      return;
+    }
+
+    // B. Keyword Search (ranked, typo-tolerant)
+    const found = await sendSearchResults(chatId, fromId, text);
+    if (!found) return;
+
+    autoDeleteMessage(chatId, msg.message_id, 2000);
+  }
+});
+
+// --- CALLBACK HANDLER ---
+function callbackFloodAction(data) {
+  if (data === 'CHECK_JOIN') return 'join';
+  if (/^(FAV|SHARE):/.test(data)) return 'fav';
+  if (/^(GET|BUNDLE|SENDSEASON):/.test(data)) return 'get';
+  return 'page';
+}
+
+bot.on('callback_query', async (q) => {
+  const chatId = q.message.chat.id;
+  const fromId = String(q.from.id);
+  const data = q.data;
+
+  const { lang } = await getAccess(fromId);
+
+  // Answered every time (Telegram keeps the button spinning otherwise), but nothing else runs
+  const flood = await checkFlood(fromId, callbackFloodAction(data));
+  if (flood) return bot.answerCallbackQuery(q.id, { text: floodText(lang, flood), show_alert: flood.muted });
+
+  // [FEATURE 1] Handle "I Joined" button specifically
+  if (data === 'CHECK_JOIN') {
+    await clearMemberships(fromId);
+    if (await verifyJoin(chatId, fromId)) {
+      track('join', fromId, { source: 'channel' });
+      await completeReferral(fromId);
+      bot.sendMessage(chatId, t(lang, 'join.thanks'), { parse_mode: 'HTML' });
+      bot.deleteMessage(chatId, q.message.message_id).catch(() => { });
+    } else {
+      bot.answerCallbackQuery(q.id, { text: t(lang, 'join.notYet'), show_alert: true });
+    }
+    return;
+  }
+
+  // Language can be changed before joining, so the join prompt can be read
+  if (data.startsWith('LANG:')) {
+    const language = data.split(':')[1];
+    if (!LOCALES[language]) return bot.answerCallbackQuery(q.id);
+
+    await setUserAccess(fromId, { $set: { language } });
+    await bot.answerCallbackQuery(q.id);
+    await bot.editMessageText(t(language, 'language.changed', { language: t(language, 'language.name') }), {
+      chat_id: chatId,
+      message_id: q.message.message_id
+    }).catch(() => { });
+    return;
+  }
+
+  // Group settings buttons are for the group's admins, who don't have to pass force-join
+  if (data.startsWith('GSET:')) {
+    const [, field, value] = data.split(':');
+    if (!['enabled', 'delivery', 'forceJoin'].includes(field)) return bot.answerCallbackQuery(q.id);
+    if (!await canManageGroup({ chat: q.message.chat, from: q.from })) {
+      return bot.answerCallbackQuery(q.id, { text: 'Only group admins can change these settings.', show_alert: true });
+    }
+
+    const setting = field === 'delivery' ? (value === 'group' ? 'group' : 'private') : value === '1';
+    const group = await updateGroupSettings(q.message.chat, fromId, { $set: { [field]: setting } }, { [field]: setting });
+    const view = await groupSettingsView(group);
+    await bot.answerCallbackQuery(q.id);
+    await bot.editMessageText(view.text, {
+      chat_id: chatId,
+      message_id: q.message.message_id,
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: view.keyboard }
+    }).catch(() => { });
+    return;
+  }
+
+  // Results posted in groups follow the group's settings
+  const group = q.message.chat.type === 'private' ? null : await getGroupSettings(q.message.chat);
+
+  // [FEATURE 1] Check membership for all other interactions (downloads, pagination)
+  // Staff bypass this in verifyJoin; banned users are stopped here too
+  if (!await verifyJoin(chatId, fromId, { forceJoin: group?.forceJoin ?? true })) {
+    const { role } = await getAccess(fromId);
+    return bot.answerCallbackQuery(q.id, { text: t(lang, role === 'banned' ? 'banned.short' : 'join.first'), show_alert: true });
+  }
+
+  try {
+    if (data.startsWith('CONFIRM:')) {
+      if (!await hasRole(fromId, 'admin')) return bot.answerCallbackQuery(q.id);
+      const pendingId = data.split(':')[1];
+      const pending = await Pending.findById(pendingId).lean();
+      if (!pending) return bot.answerCallbackQuery(q.id, { text: 'Expired' });
+
+      const exists = await File.exists(sameFileQuery(pending));
+      if (exists) {
+        await Pending.deleteOne({ _id: pendingId });
+        return bot.editMessageText('⚠️ File already exists.', { chat_id: chatId, message_id: q.message.message_id });
+      }
+
+      const { customId, series, fulfilled } = await publishFile(pending, pending.adminId);
+      await audit(fromId, 'upload.confirm', customId, { title: pending.clean_title });
+      const draft = await appendToBundleDraft(pending.adminId, customId);
+
+      await Pending.deleteOne({ _id: pendingId });
+      await bot.editMessageText(`✅ <b>Published:</b> ${customId}\n${escapeHtml(pending.clean_title)}${series ? `\n📺 ${escapeHtml(series.title)} (${series.seriesId})` : ''}${fulfilled ? `\n📩 Fulfilled ${fulfilled} request(s)` : ''}${draft ? `\n📦 Bundle draft: ${draft.items.length} file(s), /bundle done to finish` : ''}`, {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML'
+      });
+      return;
+    }
+
+    if (data.startsWith('CANCEL:')) {
+      if (!await hasRole(fromId, 'admin')) return bot.answerCallbackQuery(q.id);
+      const pending = await Pending.findByIdAndDelete(data.split(':')[1]).lean();
+      if (pending) await audit(fromId, 'upload.cancel', null, { title: pending.clean_title });
+      await bot.editMessageText('❌ Cancelled.', { chat_id: chatId, message_id: q.message.message_id });
+      return;
+    }
+
+    if (data.startsWith('GET:')) {
+      const customId = data.split(':')[1];
+      if (group?.delivery === 'private') return bot.answerCallbackQuery(q.id, { url: await startLink(customId) });
+      const file = await findFileById(customId);
+
+      if (!file) return bot.answerCallbackQuery(q.id, { text: t(lang, 'file.deleted') });
+
+      const { limit } = await getAccess(fromId);
+      if (!await consumeQuota(fromId, limit)) return bot.answerCallbackQuery(q.id, { text: t(lang, 'limit.exceeded'), show_alert: true });
+
+      await bot.answerCallbackQuery(q.id, { text: t(lang, 'file.sending') });
+      await countDownload(fromId, file.customId, 'button');
+
+      await sendFile(chatId, file, lang, groupDeleteMs(group));
+      return;
+    }
+
+    if (data.startsWith('BUNDLE:')) {
+      if (group?.delivery === 'private') return bot.answerCallbackQuery(q.id, { url: await startLink(data.split(':')[1]) });
+      const bundle = await Bundle.findOne({ bundleId: data.split(':')[1] }).lean();
+      const plan = bundle ? await bundlePlan(fromId, bundle) : { error: 'file.deleted' };
+      if (plan.error) return bot.answerCallbackQuery(q.id, { text: t(lang, plan.error), show_alert: plan.error === 'limit.exceeded' });
+
+      await bot.answerCallbackQuery(q.id, { text: t(lang, 'file.sending') });
+      await deliverBundle(chatId, fromId, bundle, plan, lang, { deleteMs: groupDeleteMs(group) });
+      return;
+    }
+
+    if (data.startsWith('PAGE:')) {
+      const page = Number(data.split(':')[1]);
+      const searchKey = searchSessionKey(q.message, fromId);
+      const session = JSON.parse(await redis.get(searchKey) || 'null');
+
+      if (!session?.results) return bot.answerCallbackQuery(q.id, { text: t(lang, 'search.expired') });
+
+      const { maxPage, keyboard } = await renderSearchPage(session, page);
+
+      await bot.editMessageText(t(lang, 'search.page', { page: page + 1, pages: maxPage + 1 }), {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        reply_markup: { inline_keyboard: keyboard }
+      });
+      return;
+    }
+
+    if (data.startsWith('FILTER:')) {
+      const [, key, value] = data.split(':');
+      const searchKey = searchSessionKey(q.message, fromId);
+      const session = JSON.parse(await redis.get(searchKey) || 'null');
+
+      if (!session?.results || !SEARCH_FACETS[key]) return bot.answerCallbackQuery(q.id, { text: t(lang, 'search.expired') });
+
+      session.filters = { ...session.filters };
+      if (value) session.filters[key] = value;
+      else delete session.filters[key];
+      await redis.set(searchKey, JSON.stringify(session), 'EX', 300);
+
+      const { total, keyboard } = await renderSearchPage(session, 0);
+      await bot.answerCallbackQuery(q.id);
+      await bot.editMessageText(t(lang, 'search.found', { count: total, query: escapeHtml(session.text) }), {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: keyboard }
+      });
+      return;
+    }
+
+    if (data.startsWith('TRENDING:')) {
+      const window = data.split(':')[1];
+      if (!TRENDING_WINDOWS.includes(window)) return bot.answerCallbackQuery(q.id);
+      const view = await trendingView(window, lang);
+      await bot.answerCallbackQuery(q.id);
+      await bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: view.keyboard }
+      }).catch(() => { });
+      return;
+    }
+
+    if (data === 'DYM') {
+      const suggestion = await redis.get(`suggest:${fromId}`);
+      if (!suggestion) return bot.answerCallbackQuery(q.id, { text: t(lang, 'search.expired') });
+
+      await bot.answerCallbackQuery(q.id);
+      bot.deleteMessage(chatId, q.message.message_id).catch(() => { });
+      await sendSearchResults(chatId, fromId, suggestion, groupDeleteMs(group));
+      return;
+    }
+
+    if (data === 'REQ') {
+      const text = await redis.get(`lastmiss:${fromId}`);
+      if (!text) return bot.answerCallbackQuery(q.id, { text: t(lang, 'request.expired') });
+
+      const result = await createRequest(fromId, text);
+      await bot.answerCallbackQuery(q.id, { text: requestReply(result, lang), show_alert: true });
+      if (result && result.status !== 'limit') {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: q.message.message_id }).catch(() => { });
+      }
+      return;
+    }
+
+    if (data.startsWith('REQDONE:') || data.startsWith('REQREJ:')) {
+      if (!await hasRole(fromId, 'moderator')) return bot.answerCallbackQuery(q.id);
+      const request = await Request.findOne({ requestId: data.split(':')[1] }).lean();
+      if (!request || request.status !== 'open') return bot.answerCallbackQuery(q.id, { text: 'Already handled.' });
+
+      const status = data.startsWith('REQDONE:') ? 'fulfilled' : 'rejected';
+      await closeRequest(request, status, fromId);
+      await audit(fromId, status === 'fulfilled' ? 'request.fulfill' : 'request.reject', request.requestId, { title: request.title });
+      await bot.answerCallbackQuery(q.id, { text: status === 'fulfilled' ? `✅ ${request.requestId} fulfilled, requesters notified` : `❌ ${request.requestId} rejected` });
+      const view = await requestsView();
+      await bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: view.keyboard }
+      }).catch(() => { });
+      return;
+    }
+
+    if (data.startsWith('RESTORE:')) {
+      if (!await hasRole(fromId, 'moderator')) return bot.answerCallbackQuery(q.id);
+      const [, customId, from] = data.split(':');
+      const reply = await restoreReply(fromId, customId);
+      await bot.answerCallbackQuery(q.id, { text: reply, show_alert: reply.startsWith('⚠️') });
+
+      // From /trash: refresh the list. From a delete's "Undo": drop the button.
+      if (from === 'trash') {
+        const view = await trashView();
+        bot.editMessageText(view.text, {
+          chat_id: chatId,
+          message_id: q.message.message_id,
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: view.keyboard }
+        }).catch(() => { });
+      } else {
+        bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: q.message.message_id }).catch(() => { });
+      }
+      return;
+    }
+
+    if (data.startsWith('BULKDEL:') || data.startsWith('BULKDEL_CANCEL:')) {
+      if (!await hasRole(fromId, 'admin')) return bot.answerCallbackQuery(q.id);
+      const token = data.split(':')[1];
+      const job = JSON.parse(await redis.getdel(`bulkdel:${token}`) || 'null');
+      if (!job) return bot.answerCallbackQuery(q.id, { text: 'Expired. Run /bulkdelete again.' });
+
+      if (data.startsWith('BULKDEL_CANCEL:')) {
+        await bot.answerCallbackQuery(q.id);
+        return bot.editMessageText('❌ Bulk delete cancelled.', { chat_id: chatId, message_id: q.message.message_id });
+      }
+
+      await bot.answerCallbackQuery(q.id, { text: 'Deleting...' });
+      const deleted = [];
+      for (const customId of job.ids) {
+        if (await trashFile(customId, fromId)) deleted.push(customId);
+      }
+      await audit(fromId, 'file.bulk_delete', job.query, { count: deleted.length, ids: deleted });
+      await bot.editMessageText(`🗑️ Moved ${deleted.length} file(s) matching "${job.query}" to trash.\nUse /trash or /restore [ID] to bring them back.`, {
+        chat_id: chatId,
+        message_id: q.message.message_id
+      });
+      return;
+    }
+
+    if (data.startsWith('DUPMERGE:')) {
+      if (!await hasRole(fromId, 'admin')) return bot.answerCallbackQuery(q.id);
+      const [, token, index] = data.split(':');
+      const clusters = JSON.parse(await redis.get(`dupes:${token}`) || 'null');
+      const ids = clusters?.[Number(index)];
+      if (!ids) return bot.answerCallbackQuery(q.id, { text: 'Expired. Run /dupes again.' });
+
+      const result = await mergeFiles(ids[0], ids.slice(1), fromId);
+      await bot.answerCallbackQuery(q.id, { text: result ? `Merged into ${ids[0]}` : 'Already merged or deleted' });
+      if (result) bot.sendMessage(chatId, mergeReply(result));
+      return;
+    }
+
+    if (data.startsWith('IMPORT:') || data.startsWith('IMPORT_CANCEL:')) {
+      if (!await hasRole(fromId, 'owner')) return bot.answerCallbackQuery(q.id);
+      const token = data.split(':')[1];
+      const job = JSON.parse(await redis.getdel(`import:${token}`) || 'null');
+      if (!job) return bot.answerCallbackQuery(q.id, { text: 'Expired. Run /import again.' });
+
+      if (data.startsWith('IMPORT_CANCEL:')) {
+        await bot.answerCallbackQuery(q.id);
+        return bot.editMessageText('❌ Import cancelled.', { chat_id: chatId, message_id: q.message.message_id });
+      }
+
+      await bot.answerCallbackQuery(q.id, { text: 'Importing...' });
+      await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: q.message.message_id }).catch(() => { });
+      const report = await importBackup(parseBackup(await downloadText(job.fileId)), { conflict: job.conflict });
+      await audit(fromId, 'backup.import', job.name, { conflict: job.conflict, files: report.files.inserted + report.files.renumbered, users: report.users.inserted, updated: report.files.updated + report.users.updated });
+      await bot.sendMessage(chatId, importReportText(report, job.name), { parse_mode: 'HTML' });
+      return;
+    }
+
+    if (data.startsWith('UNWATCH:')) {
+      const id = data.split(':')[1];
+      if (mongoose.isValidObjectId(id)) await Watch.deleteOne({ _id: id, userId: fromId });
+      await bot.answerCallbackQuery(q.id, { text: t(lang, 'watch.stopped') });
+
+      const view = await watchesView(fromId, lang);
+      await bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: view.keyboard }
+      }).catch(() => { });
+      return;
+    }
+
+    if (data.startsWith('SERIES:')) {
+      const view = await seasonsView(data.split(':')[1], lang);
+      if (!view) return bot.answerCallbackQuery(q.id, { text: t(lang, 'series.notFound') });
+
+      await bot.answerCallbackQuery(q.id);
+      await bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: view.keyboard }
+      });
+      return;
+    }
+
+    if (data.startsWith('SEASON:')) {
+      const [, seriesId, season, page] = data.split(':');
+      const view = await episodesView(seriesId, Number(season), Number(page) || 0, lang);
+      if (!view) return bot.answerCallbackQuery(q.id, { text: t(lang, 'series.notFound') });
+
+      await bot.answerCallbackQuery(q.id);
+      await bot.editMessageText(view.text, {
+        chat_id: chatId,
+        message_id: q.message.message_id,
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: view.keyboard }
+      });
+      return;
+    }
+
+    if (data.startsWith('SENDSEASON:')) {
+      const [, seriesId, season] = data.split(':');
+      if (group?.delivery === 'private') return bot.answerCallbackQuery(q.id, { url: await startLink(`${seriesId}-${season}`) });
+
+      const plan = await seasonPlan(fromId, seriesId, Number(season));
+      if (plan.error === 'file.deleted') return bot.answerCallbackQuery(q.id, { text: t(lang, 'series.noEpisodes') });
+      if (plan.error) return bot.answerCallbackQuery(q.id, { text: t(lang, plan.error), show_alert: true });
+
+      await bot.answerCallbackQuery(q.id, { text: t(lang, 'series.sending', { count: plan.batch.length }) });
+      await deliverSeason(chatId, fromId, plan, lang, { deleteMs: groupDeleteMs(group) });
+      return;
+    }
+
+    if (data.startsWith('SHARE:')) {
+      const sent = await shareMessage(chatId, fromId, data.split(':')[1], lang);
+      return bot.answerCallbackQuery(q.id, sent ? {} : { text: t(lang, 'file.deleted') });
+    }
+
+    if (data.startsWith('FAV:')) {
+      const customId = data.split(':')[1];
+      const exists = await Favorite.findOne({ userId: fromId, customId }).lean();
+
+      if (exists) {
+        await Favorite.deleteOne({ userId: fromId, customId });
+        await bot.answerCallbackQuery(q.id, { text: t(lang, 'favorites.removed') });
+      } else {
+        const count = await Favorite.countDocuments({ userId: fromId });
+        if (count >= MAX_FAVORITES) return bot.answerCallbackQuery(q.id, { text: t(lang, 'favorites.full', { max: MAX_FAVORITES }) });
+
+        await Favorite.create({ userId: fromId, customId });
+        track('favorite', fromId, { customId });
+        await bot.answerCallbackQuery(q.id, { text: t(lang, 'favorites.added') });
+      }
+      return;
+    }
+
+  } catch (err) {
+    console.error('Callback Error:', err);
+    bot.answerCallbackQuery(q.id, { text: t(lang, 'error.generic') }).catch(() => { });
+  }
+});
+
+// --- STORAGE CHANNELS ---
+bot.on('channel_post', async (post) => {
+  if (!isStorageChannel(post.chat) || (!post.video && !post.document)) return;
+
+  try {
+    await indexChannelMessage(post, post.chat.username ? `@${post.chat.username}` : String(post.chat.id));
+  } catch (err) {
+    console.error('Channel Index Error:', err.message);
+  }
+});
+
+// Backfill a message range: /index @mystorage 1-5000
+bot.onText(/\/index(?:\s+(\S+)\s+(\d+)\s*-\s*(\d+))?\s*$/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+
+  if (!match[1]) {
+    return bot.sendMessage(msg.chat.id,
+      `⚠️ Usage: <code>/index @channel 1-5000</code>\n\nWatched channels: ${[...STORAGE_CHANNELS].join(', ') || 'none'}`,
+      { parse_mode: 'HTML' });
+  }
+  if (activeIndexRun) return bot.sendMessage(msg.chat.id, '⚠️ An indexing run is already in progress. Use /index_cancel to stop it.');
+
+  const from = Number(match[2]);
+  const to = Number(match[3]);
+  if (to < from) return bot.sendMessage(msg.chat.id, '⚠️ The range end must be after its start.');
+
+  await audit(msg.from.id, 'index.run', match[1], { from, to });
+  runChannelBackfill(msg.chat.id, match[1], from, to).catch(err => console.error('Backfill Error:', err.message));
+});
+
+bot.onText(/\/index_cancel/, async (msg) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  if (!activeIndexRun) return bot.sendMessage(msg.chat.id, 'No indexing run in progress.');
+  activeIndexRun.cancelled = true;
+  bot.sendMessage(msg.chat.id, '🛑 Stopping after the current message...');
+});
+
+// --- FORCE-JOIN CHANNELS ---
+// Join requests to a required channel whose link asks to join are approved right away (banned users excepted)
+bot.on('chat_join_request', async (request) => {
+  const channel = (await requiredChannels()).find(c => channelMatches(c, request.chat));
+  if (!channel?.joinRequest) return;
+  const userId = String(request.from.id);
+  const { role, lang } = await getAccess(userId);
+  if (role === 'banned') return;
+
+  try {
+    await bot.approveChatJoinRequest(request.chat.id, request.from.id);
+  } catch (err) {
+    return alertChannelProblem({ ...channel, title: request.chat.title }, `Could not approve a join request: ${err.message}`);
+  }
+  await redis.set(memberCacheKey(channel, userId), 'true', 'EX', 300);
+  // user_chat_id reaches users who haven't started the bot yet, for a few minutes after the request
+  bot.sendMessage(request.user_chat_id || userId, t(lang, 'join.approved', { title: escapeHtml(request.chat.title || '') }), { parse_mode: 'HTML' })
+    .catch(() => { });
 });
 
-// --- CALLBACK HANDLER ---
-bot.on('callback_query', async (q) => {
-  const chatId = q.message.chat.id;
-  const fromId = String(q.from.id);
-  const data = q.data;
+// Warns the owners as soon as the bot is demoted in, or removed from, a required channel
+bot.on('my_chat_member', async (update) => {
+  const channel = (await requiredChannels()).find(c => channelMatches(c, update.chat));
+  if (!channel) return;
+  const status = update.new_chat_member.status;
+  await redis.del(`forceAlert:${channel.chatId}`); // Report this one even if an alert went out recently
+  if (status !== 'administrator') {
+    alertChannelProblem({ ...channel, title: update.chat.title }, `The bot is now "${status}" there and can no longer check who joined.`);
+  }
+});
 
-  // [FEATURE 1] Handle "I Joined" button specifically
-  if (data === 'CHECK_JOIN') {
-    await redis.del(`isMember:${fromId}`); // Clear cache
-    if (await verifyJoin(chatId, fromId)) {
-      bot.sendMessage(chatId, '✅ <b>Thanks for joining!</b> You can now use the bot.', { parse_mode: 'HTML' });
-      bot.deleteMessage(chatId, q.message.message_id).catch(() => { });
-    } else {
-      bot.answerCallbackQuery(q.id, { text: '❌ You still haven\'t joined the channel!', show_alert: true });
+function forceChannelLine(channel) {
+  const expired = channel.expiresAt && new Date(channel.expiresAt) <= new Date();
+  return `• <b>${escapeHtml(channel.title || channel.chatId)}</b> <code>${channel.username ? `@${channel.username}` : channel.chatId}</code>`
+    + (channel.fromEnv ? ' · FORCE_CHANNEL_ID' : '')
+    + (channel.inviteLink ? ` · ${escapeHtml(channel.inviteLink)}` : '')
+    + (channel.joinRequest ? ' · 📨 join requests' : '')
+    + (channel.strict ? ' · 🔒 strict' : '')
+    + (channel.expiresAt ? ` · ${expired ? '⌛ expired' : 'until'} ${new Date(channel.expiresAt).toISOString().slice(0, 10)}` : '');
+}
+
+// /channels | /channels add @channel [invite link] [request] [strict] [30d] | /channels remove @channel
+// Adding a channel again replaces its rules.
+bot.onText(/^\/channels(?:\s+(add|remove)(?:\s+(\S+))?(?:\s+(.+))?)?\s*$/, async (msg, match) => {
+  const actorId = String(msg.from.id);
+  if (!await hasRole(actorId, 'admin')) return;
+  const [, action, target, rest = ''] = match;
+  const usage = `⚠️ Usage:
+<code>/channels add @channel</code>
+<code>/channels add -100123456789 https://t.me/+AbCdEf request strict 30d</code>
+<code>/channels remove @channel</code>
+
+<i>A link is optional (private channels get one from the bot). <b>request</b>: the link asks to join and the bot approves. <b>strict</b>: block users when the bot can't check the channel. <b>30d</b>: stop requiring it after 30 days.</i>`;
+
+  if (!action) {
+    const channels = await ForceChannel.find().sort({ added_at: 1 }).lean();
+    const env = (await requiredChannels()).filter(c => c.fromEnv);
+    const lines = [...env, ...channels].map(forceChannelLine);
+    return bot.sendMessage(msg.chat.id,
+      `📢 <b>Force-Join Channels</b>\n\n${lines.join('\n') || 'None: everyone can use the bot without joining.'}\n\n${usage.replace('⚠️ Usage:\n', '')}`,
+      { parse_mode: 'HTML', disable_web_page_preview: true });
+  }
+  if (!target) return bot.sendMessage(msg.chat.id, usage, { parse_mode: 'HTML' });
+  const chatRef = /^-?\d+$/.test(target) ? target : `@${target.replace(/^@/, '')}`;
+
+  if (action === 'remove') {
+    const channels = await ForceChannel.find().lean();
+    const channel = channels.find(c => channelMatches(c, chatRef));
+    if (!channel) {
+      const fromEnv = FORCE_CHANNEL_ID && channelMatches({ chatId: FORCE_CHANNEL_ID, username: FORCE_CHANNEL_ID.replace(/^@/, '') }, chatRef);
+      return bot.sendMessage(msg.chat.id, fromEnv ? '⚠️ That channel is FORCE_CHANNEL_ID; remove it from the environment instead.' : '❌ Not a force-join channel.');
     }
-    return;
+    await ForceChannel.deleteOne({ _id: channel._id });
+    await redis.del(FORCE_CHANNELS_KEY, `forceLink:${channel.chatId}`);
+    await audit(actorId, 'channel.remove', channel.chatId, { title: channel.title });
+    return bot.sendMessage(msg.chat.id, `🗑️ Users no longer have to join <b>${escapeHtml(channel.title || channel.chatId)}</b>.`, { parse_mode: 'HTML' });
   }
 
-  // [FEATURE 1] Check membership for all other interactions (downloads, pagination)
-  // Admins bypass this in verifyJoin
-  if (!await verifyJoin(chatId, fromId)) {
-    return bot.answerCallbackQuery(q.id, { text: '⚠️ You must join the channel first!', show_alert: true });
+  const options = rest.split(/\s+/).filter(Boolean);
+  const inviteLink = options.find(o => /^https:\/\/t\.me\//.test(o));
+  const days = options.map(o => o.match(/^(\d+)d$/)?.[1]).find(Boolean);
+  const joinRequest = options.includes('request');
+  const strict = options.includes('strict') || FORCE_JOIN_STRICT_ON;
+  const unknown = options.filter(o => o !== inviteLink && !/^\d+d$/.test(o) && !['request', 'strict'].includes(o));
+  if (unknown.length) return bot.sendMessage(msg.chat.id, `❌ Unknown option: ${escapeHtml(unknown[0])}\n\n${usage}`, { parse_mode: 'HTML' });
+
+  const chat = await bot.getChat(chatRef).catch(() => null);
+  if (!chat || !['channel', 'supergroup'].includes(chat.type)) return bot.sendMessage(msg.chat.id, '❌ Channel not found. Add the bot to it first, or use its numeric ID.');
+  const me = await bot.getMe();
+  const botMember = await bot.getChatMember(chat.id, me.id).catch(() => null);
+  if (botMember?.status !== 'administrator') return bot.sendMessage(msg.chat.id, '❌ Make the bot an admin in that channel first, so it can check who joined.');
+  if ((joinRequest || !chat.username && !inviteLink) && !botMember.can_invite_users) {
+    return bot.sendMessage(msg.chat.id, '❌ The bot needs the "Invite users via link" right there to create a link and approve join requests.');
   }
 
-  try {
-    if (data.startsWith('CONFIRM:')) {
-      const pendingId = data.split(':')[1];
-      const pending = await Pending.findById(pendingId).lean();
-      if (!pending) return bot.answerCallbackQuery(q.id, { text: 'Expired' });
+  const chatId = String(chat.id);
+  const fields = { title: chat.title, username: chat.username, inviteLink, joinRequest, strict, expiresAt: days && new Date(Date.now() + Number(days) * 86400000) };
+  const set = Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+  const unset = Object.fromEntries(Object.keys(fields).filter(key => !set[key]).map(key => [key, 1]));
+  const channel = await ForceChannel.findOneAndUpdate(
+    { chatId },
+    { $set: { ...set, added_by: actorId }, $unset: unset, $setOnInsert: { added_at: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+  await redis.del(FORCE_CHANNELS_KEY, `forceLink:${chatId}`, `forceAlert:${chatId}`);
+  await audit(actorId, 'channel.add', chatId, { title: chat.title, joinRequest, strict, ...(days && { days: Number(days) }) });
+  bot.sendMessage(msg.chat.id, `✅ Users now have to join:\n${forceChannelLine(channel)}`, { parse_mode: 'HTML', disable_web_page_preview: true });
+});
 
-      const exists = await File.exists({ file_id: pending.file_id });
-      if (exists) {
-        await Pending.deleteOne({ _id: pendingId });
-        return bot.editMessageText('⚠️ File already exists.', { chat_id: chatId, message_id: q.message.message_id });
-      }
+// --- INLINE MODE ---
+const INLINE_PAGE_SIZE = 20;
 
-      const customId = await nextSequence();
-      await File.create({
-        customId,
-        file_id: pending.file_id,
-        file_name: pending.file_name,
-        type: pending.type,
-        uploader_id: pending.adminId,
-        file_size: pending.file_size,
-        clean_title: pending.clean_title,
-        attributes: pending.attributes
-      });
+// Ranked customIds for an inline query, cached briefly so next_offset pages don't re-run the search
+async function inlineSearchIds(text) {
+  if (!text) {
+    const files = await File.find({}, { customId: 1 }).sort({ downloads: -1 }).limit(50).lean();
+    return files.map(f => f.customId);
+  }
 
-      await Pending.deleteOne({ _id: pendingId });
-      await bot.editMessageText(`✅ <b>Published:</b> ${customId}\n${pending.clean_title}`, {
-        chat_id: chatId,
-        message_id: q.message.message_id,
-        parse_mode: 'HTML'
+  const cacheKey = `inline:${searchTerms(text).join(' ')}`;
+  const cached = await redis.get(cacheKey);
+  if (cached) return JSON.parse(cached);
+
+  const { results } = await searchFiles(text);
+  const ids = results.map(r => r.customId);
+  await redis.set(cacheKey, JSON.stringify(ids), 'EX', 60);
+  return ids;
+}
+
+function inlineResult(file) {
+  const caption = `🎬 <b>${escapeHtml(file.clean_title)}</b>\n📦 ${file.file_size}\n🆔 <code>${file.customId}</code>`;
+  const base = { id: file.customId, title: file.clean_title, caption, parse_mode: 'HTML' };
+  if (file.type === 'video') return { ...base, type: 'video', video_file_id: file.file_id, description: file.file_size };
+  return { ...base, type: 'document', document_file_id: file.file_id, description: file.file_size };
+}
+
+bot.on('inline_query', async (iq) => {
+  const userId = String(iq.from.id);
+  const offset = Number(iq.offset) || 0;
+  // Results depend on join status and quota, so never share or cache them: each pick uses up quota
+  const personal = { cache_time: 0, is_personal: true };
+
+  try {
+    if (await checkFlood(userId, 'inline')) return bot.answerInlineQuery(iq.id, [], personal);
+    await saveUser(iq);
+    const [used, { role, limit, lang }] = await Promise.all([getUserLimitCount(userId), getAccess(userId)]);
+    if (!await verifyJoin(null, userId)) {
+      if (role === 'banned') return bot.answerInlineQuery(iq.id, [], personal);
+      return bot.answerInlineQuery(iq.id, [], {
+        ...personal,
+        button: JSON.stringify({ text: t(lang, 'join.inline'), start_parameter: 'join' })
       });
-      return;
     }
 
-    if (data.startsWith('CANCEL:')) {
-      await Pending.deleteOne({ _id: data.split(':')[1] });
-      await bot.editMessageText('❌ Cancelled.', { chat_id: chatId, message_id: q.message.message_id });
-      return;
+    if (used >= limit) {
+      return bot.answerInlineQuery(iq.id, [], {
+        ...personal,
+        button: JSON.stringify({ text: t(lang, 'limit.inline'), start_parameter: 'limit' })
+      });
     }
 
-    if (data.startsWith('GET:')) {
-      const customId = data.split(':')[1];
-      const file = await File.findOne({ customId }).lean();
+    // Never offer more results than the user has downloads left today
+    const ids = (await inlineSearchIds(iq.query.trim())).slice(0, limit - used);
+    const slice = ids.slice(offset, offset + INLINE_PAGE_SIZE);
+    const files = await File.find({ customId: { $in: slice } }).lean();
+    const byId = new Map(files.map(f => [f.customId, f]));
+
+    const results = slice.map(id => byId.get(id)).filter(Boolean).map(inlineResult);
+    const nextOffset = offset + INLINE_PAGE_SIZE < ids.length ? String(offset + INLINE_PAGE_SIZE) : '';
+
+    await bot.answerInlineQuery(iq.id, results, { ...personal, next_offset: nextOffset });
+  } catch (err) {
+    console.error('Inline Query Error:', err.message);
+    bot.answerInlineQuery(iq.id, [], personal).catch(() => { });
+  }
+});
+
+// Requires "Inline Feedback" to be enabled in @BotFather. Telegram has already sent the file by
+// then, so the quota is mostly enforced by inline_query offering at most what is left of it.
+bot.on('chosen_inline_result', async (result) => {
+  const userId = String(result.from.id);
+  try {
+    const { limit } = await getAccess(userId);
+    if (!await consumeQuota(userId, limit)) return;
+    await countDownload(userId, result.result_id, 'inline');
+  } catch (err) {
+    console.error('Inline Result Error:', err.message);
+  }
+});
 
-      if (!file) return bot.answerCallbackQuery(q.id, { text: 'File not found/deleted.' });
+bot.onText(/^\/watch(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  await saveUser(msg);
+  const userId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
 
-      const used = await getUserLimitCount(fromId);
-      if (used >= DAILY_LIMIT_NUM) return bot.answerCallbackQuery(q.id, { text: 'Daily limit exceeded!', show_alert: true });
+  const { lang } = await getAccess(userId);
+  if (!match[1]) {
+    const view = await watchesView(userId, lang);
+    return bot.sendMessage(msg.chat.id, view.text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: view.keyboard } });
+  }
 
-      await bot.answerCallbackQuery(q.id, { text: 'Sending file...' });
-      await incrementAndGetLimit(fromId);
-      await File.updateOne({ _id: file._id }, { $inc: { downloads: 1 } });
+  const result = await addWatch(userId, match[1].trim());
+  const vars = { query: cleanFileName(match[1]), max: MAX_WATCHES_PER_USER };
+  bot.sendMessage(msg.chat.id, t(lang, result ? `watch.${result}` : 'watch.usage', vars));
+});
 
-      const caption = `🎬 <b>${file.clean_title}</b>\n📦 ${file.file_size}\n🆔 <code>${file.customId}</code>\n\n⚠️ <i>Auto-deletes in 60s</i>`;
-      const opts = { caption, parse_mode: 'HTML', reply_markup: { inline_keyboard: [[{ text: '❤️ Favorite', callback_data: `FAV:${file.customId}` }]] } };
+bot.onText(/^\/unwatch(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const userId = String(msg.from.id);
+  const arg = match[1]?.trim();
+  const { lang } = await getAccess(userId);
 
-      let sent;
-      if (file.type === 'video') sent = await bot.sendVideo(chatId, file.file_id, opts);
-      else sent = await bot.sendDocument(chatId, file.file_id, opts);
+  if (!arg) {
+    const view = await watchesView(userId, lang);
+    return bot.sendMessage(msg.chat.id, view.text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: view.keyboard } });
+  }
 
-      autoDeleteMessage(bot, chatId, sent.message_id, 60000);
-      return;
-    }
+  const res = arg.toLowerCase() === 'all'
+    ? await Watch.deleteMany({ userId })
+    : await Watch.deleteOne({ userId, key: searchTerms(arg).join(' ') });
+  bot.sendMessage(msg.chat.id, res.deletedCount ? t(lang, 'watch.removed', { count: res.deletedCount }) : t(lang, 'watch.notWatching'));
+});
 
-    if (data.startsWith('PAGE:')) {
-      const page = Number(data.split(':')[1]);
-      const searchKey = `search:${fromId}`;
-      const rawKeywords = await redis.get(searchKey);
+bot.onText(/^\/request(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  await saveUser(msg);
+  const userId = String(msg.from.id);
+  if (!await verifyJoin(msg.chat.id, userId)) return;
 
-      if (!rawKeywords) return bot.answerCallbackQuery(q.id, { text: 'Search expired.' });
+  const { lang } = await getAccess(userId);
+  if (!match[1]) {
+    const mine = await Request.find({ status: 'open', requesters: userId }).sort({ created_at: -1 }).lean();
+    const list = mine.map(r => t(lang, 'request.item', { title: escapeHtml(r.title), count: r.votes })).join('\n');
+    return bot.sendMessage(msg.chat.id,
+      `${t(lang, 'request.usage')}${list ? `\n\n${t(lang, 'request.open')}\n${list}` : ''}`,
+      { parse_mode: 'HTML' });
+  }
 
-      const keywords = JSON.parse(rawKeywords);
-      const query = { attributes: { $all: keywords } };
+  const result = await createRequest(userId, match[1].trim());
+  bot.sendMessage(msg.chat.id, requestReply(result, lang));
+});
 
-      const total = await File.countDocuments(query);
-      const files = await File.find(query)
-        .sort({ uploaded_at: -1 })
-        .skip(page * RESULTS_PER_PAGE_NUM)
-        .limit(RESULTS_PER_PAGE_NUM)
-        .lean();
+async function requestsView() {
+  const requests = await Request.find({ status: 'open' }).sort({ votes: -1, created_at: 1 }).limit(10).lean();
+  const total = await Request.countDocuments({ status: 'open' });
+  if (!requests.length) return { text: '📩 No open requests.', keyboard: [] };
 
-      const keyboard = files.map(f => [{
-        text: `📂 ${f.file_size} | ${f.clean_title}`,
-        callback_data: `GET:${f.customId}`
-      }]);
+  const lines = requests.map(r => `<code>${r.requestId}</code> · ${r.votes} 👍 · ${escapeHtml(r.title)}`);
+  const keyboard = requests.map(r => [
+    { text: `✅ Done ${r.requestId}`, callback_data: `REQDONE:${r.requestId}` },
+    { text: `❌ Reject ${r.requestId}`, callback_data: `REQREJ:${r.requestId}` }
+  ]);
+  return {
+    text: `📩 <b>Open Requests</b> (top ${requests.length} of ${total})\n\n${lines.join('\n')}\n\n<i>Use /fulfill R0001 F0123 to link a file.</i>`,
+    keyboard
+  };
+}
 
-      const navRow = [];
-      if (page > 0) navRow.push({ text: '⬅️ Prev', callback_data: `PAGE:${page - 1}` });
-      const maxPage = Math.ceil(total / RESULTS_PER_PAGE_NUM) - 1;
-      if (page < maxPage) navRow.push({ text: 'Next ➡️', callback_data: `PAGE:${page + 1}` });
+bot.onText(/^\/requests/, async (msg) => {
+  if (!await hasRole(msg.from.id, 'moderator')) return;
+  const view = await requestsView();
+  bot.sendMessage(msg.chat.id, view.text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: view.keyboard } });
+});
 
-      if (navRow.length) keyboard.push(navRow);
+bot.onText(/^\/fulfill (\S+) (\S+)/, async (msg, match) => {
+  const adminId = String(msg.from.id);
+  if (!await hasRole(adminId, 'moderator')) return;
 
-      await bot.editMessageText(`🔍 Results (Page ${page + 1}/${maxPage + 1})`, {
-        chat_id: chatId,
-        message_id: q.message.message_id,
-        reply_markup: { inline_keyboard: keyboard }
-      });
-      return;
-    }
+  const request = await Request.findOne({ requestId: match[1].toUpperCase(), status: 'open' }).lean();
+  const file = await findFileById(match[2].toUpperCase());
+  if (!request) return bot.sendMessage(msg.chat.id, '❌ Open request not found');
+  if (!file) return bot.sendMessage(msg.chat.id, '❌ File not found');
 
-    if (data.startsWith('FAV:')) {
-      const customId = data.split(':')[1];
-      const exists = await Favorite.findOne({ userId: fromId, customId }).lean();
+  await closeRequest(request, 'fulfilled', adminId, file);
+  await audit(adminId, 'request.fulfill', request.requestId, { file: file.customId });
+  bot.sendMessage(msg.chat.id, `✅ ${request.requestId} fulfilled with ${file.customId}. Notifying ${request.requesters.length} user(s).`);
+});
 
-      if (exists) {
-        await Favorite.deleteOne({ userId: fromId, customId });
-        await bot.answerCallbackQuery(q.id, { text: 'Removed from favorites' });
-      } else {
-        const count = await Favorite.countDocuments({ userId: fromId });
-        if (count >= 50) return bot.answerCallbackQuery(q.id, { text: 'Max 50 favorites.' });
+// One-time login link for the web admin panel
+bot.onText(/^\/panel/, async (msg) => {
+  const adminId = String(msg.from.id);
+  if (!await hasRole(adminId, 'admin')) return;
+  if (!RENDER_EXTERNAL_URL) return bot.sendMessage(msg.chat.id, '⚠️ Set RENDER_EXTERNAL_URL to use the admin panel.');
 
-        await Favorite.create({ userId: fromId, customId });
-        await bot.answerCallbackQuery(q.id, { text: 'Added to favorites!' });
-      }
-      return;
+  const token = crypto.randomBytes(24).toString('hex');
+  await redis.set(`panel:login:${token}`, adminId, 'EX', 600);
+
+  const sent = await bot.sendMessage(msg.chat.id, '🖥️ <b>Admin Panel</b>\n\nThis login link works once and expires in 10 minutes.', {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: '🔐 Open Admin Panel', url: `${RENDER_EXTERNAL_URL}/admin/login?token=${token}` }]] }
+  });
+  autoDeleteMessage(msg.chat.id, sent.message_id, 600000);
+});
+
+// API key management: /apikey create <name> [scopes] [rpm] | /apikey list | /apikey revoke <prefix>
+bot.onText(/^\/apikey(?:\s+(\w+))?(?:\s+(.+))?$/, async (msg, match) => {
+  const adminId = String(msg.from.id);
+  if (!await hasRole(adminId, 'admin')) return;
+
+  const action = match[1];
+  const args = (match[2] || '').trim().split(/\s+/).filter(Boolean);
+
+  const [name, scopeArg, rpm] = args;
+  const requested = scopeArg ? scopeArg.split(',').filter(Boolean) : ['catalog:read'];
+  // Unknown scopes (or an rpm given where the scopes go) and non-positive rates fall through to the usage
+  const validCreate = args.length && args.length <= 3 &&
+    requested.length && requested.every(sc => API_SCOPES.includes(sc)) &&
+    (rpm === undefined || (/^\d+$/.test(rpm) && Number(rpm) > 0));
+
+  if (action === 'create' && validCreate) {
+    const scopes = [...new Set(requested)];
+    if (!scopes.includes('catalog:read')) scopes.unshift('catalog:read');
+    const rateLimit = rpm ? Number(rpm) : 60;
+
+    const key = `tmk_${crypto.randomBytes(24).toString('base64url')}`;
+    await ApiKey.create({
+      name,
+      prefix: key.slice(0, 10),
+      keyHash: hashApiKey(key),
+      scopes,
+      rateLimit,
+      createdBy: adminId
+    });
+    await audit(adminId, 'apikey.create', key.slice(0, 10), { name, scopes });
+
+    return bot.sendMessage(msg.chat.id,
+      `🔑 <b>API key created</b>\n\nName: ${escapeHtml(name)}\nScopes: ${scopes.join(', ')}\nRate limit: ${rateLimit}/min\n\n<code>${key}</code>\n\n⚠️ <i>This key is shown only once.</i>`,
+      { parse_mode: 'HTML' });
+  }
+
+  if (action === 'list') {
+    const keys = await ApiKey.find().sort({ created_at: -1 }).lean();
+    if (!keys.length) return bot.sendMessage(msg.chat.id, 'No API keys yet.');
+    const lines = keys.map(k => `${k.revoked ? '🚫' : '✅'} <code>${k.prefix}…</code> ${escapeHtml(k.name)} · ${k.scopes.join(', ')} · ${k.rateLimit}/min${k.lastUsedAt ? ` · used ${k.lastUsedAt.toISOString().slice(0, 10)}` : ''}`);
+    return bot.sendMessage(msg.chat.id, `🔑 <b>API Keys</b>\n\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+  }
+
+  if (action === 'revoke' && args[0]) {
+    const res = await ApiKey.updateOne({ prefix: args[0].replace(/…$/, '') }, { $set: { revoked: true } });
+    if (res.matchedCount) await audit(adminId, 'apikey.revoke', args[0].replace(/…$/, ''));
+    return bot.sendMessage(msg.chat.id, res.matchedCount ? `🚫 Revoked ${args[0]}` : '❌ Not found');
+  }
+
+  bot.sendMessage(msg.chat.id,
+    `⚠️ Usage:\n<code>/apikey create website</code>\n<code>/apikey create discord catalog:read,files:file_id 120</code>\n<code>/apikey list</code>\n<code>/apikey revoke tmk_AbCdEf</code>\n\nScopes: ${API_SCOPES.join(', ')}`,
+    { parse_mode: 'HTML' });
+});
+
+// --- TRASH & AUDIT ---
+const TRASH_DAYS = Math.round(TRASH_RETENTION_MS / 86400000);
+
+bot.onText(/^\/delete (\S+)\s*$/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'moderator')) return;
+  const customId = match[1].toUpperCase();
+  const file = await trashFile(customId, String(msg.from.id));
+  if (!file) return bot.sendMessage(msg.chat.id, '❌ Not found');
+
+  await audit(msg.from.id, 'file.delete', customId, { title: file.clean_title });
+  bot.sendMessage(msg.chat.id, `🗑️ Moved ${customId} to trash (kept ${TRASH_DAYS} days).\n${file.clean_title}`, {
+    reply_markup: { inline_keyboard: [[{ text: '↩️ Undo', callback_data: `RESTORE:${customId}` }]] }
+  });
+});
+
+// Deletes every file whose title contains all the query words (no typo tolerance), after a preview
+bot.onText(/^\/bulkdelete(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  const query = match[1]?.trim();
+  const terms = searchTerms(query || '');
+  if (!terms.length) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/bulkdelete Movie Name 2019</code>', { parse_mode: 'HTML' });
+
+  const { results } = await searchFiles(query);
+  const files = (await File.find({ customId: { $in: results.map(r => r.customId) } }, { customId: 1, clean_title: 1, attributes: 1 }).lean())
+    .filter(f => strictMatch(terms, f));
+  if (!files.length) return bot.sendMessage(msg.chat.id, `❌ No files match "${query}".`);
+
+  const token = crypto.randomBytes(6).toString('hex');
+  await redis.set(`bulkdel:${token}`, JSON.stringify({ query, ids: files.map(f => f.customId) }), 'EX', 300);
+
+  const preview = files.slice(0, 15).map(f => `<code>${f.customId}</code> ${escapeHtml(f.clean_title)}`).join('\n');
+  const more = files.length > 15 ? `\n…and ${files.length - 15} more` : '';
+  bot.sendMessage(msg.chat.id, `🗑️ <b>Bulk delete "${escapeHtml(query)}"</b>\n\n${preview}${more}\n\n<i>Files go to the trash and can be restored for ${TRASH_DAYS} days. This confirmation expires in 5 minutes.</i>`, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: `🗑️ Move ${files.length} file(s) to trash`, callback_data: `BULKDEL:${token}` }],
+        [{ text: '❌ Cancel', callback_data: `BULKDEL_CANCEL:${token}` }]
+      ]
     }
+  });
+});
+
+function dupesView(token, clusters) {
+  const shown = clusters.slice(0, 10);
+  const lines = shown.map((c, i) => `${i + 1}. ${c.reason}\n` + c.files.map((f, j) =>
+    `   ${j ? '•' : '★'} <code>${f.customId}</code> ${escapeHtml(f.clean_title)} (${f.file_size}, ${f.downloads || 0} downloads)`).join('\n'));
+  const more = clusters.length > shown.length ? `\n\n…and ${clusters.length - shown.length} more. Merge these and run /dupes again.` : '';
+  return {
+    text: `🔀 <b>Possible Duplicates</b> (${clusters.length})\n\n${lines.join('\n\n')}${more}\n\n<i>★ is kept; the others move to the trash and their IDs keep working.</i>`,
+    keyboard: shown.map((c, i) => [{ text: `🔀 ${i + 1}. Merge into ${c.files[0].customId}`, callback_data: `DUPMERGE:${token}:${i}` }])
+  };
+}
+
+// Scans the whole catalog for duplicates and offers a merge per cluster
+bot.onText(/^\/dupes/, async (msg) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  const status = await bot.sendMessage(msg.chat.id, '🔍 Scanning for duplicates...');
+  const clusters = await scanDuplicates();
+  if (!clusters.length) return bot.editMessageText('✅ No duplicates found.', { chat_id: msg.chat.id, message_id: status.message_id });
+
+  const token = crypto.randomBytes(6).toString('hex');
+  await redis.set(`dupes:${token}`, JSON.stringify(clusters.map(c => c.files.map(f => f.customId))), 'EX', 1800);
+  const view = dupesView(token, clusters);
+  bot.editMessageText(view.text, {
+    chat_id: msg.chat.id,
+    message_id: status.message_id,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: view.keyboard }
+  });
+});
+
+// Manual merge: /merge F0001 F0002 [F0003 ...] keeps the first ID
+bot.onText(/^\/merge(?:\s+(.+))?$/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  const ids = [...new Set((match[1] || '').toUpperCase().split(/\s+/).filter(id => /^F\d{4,}$/.test(id)))];
+  if (ids.length < 2) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/merge F0001 F0002</code> (keeps the first ID)', { parse_mode: 'HTML' });
+
+  const result = await mergeFiles(ids[0], ids.slice(1), String(msg.from.id));
+  if (!result) return bot.sendMessage(msg.chat.id, '❌ Files not found.');
+  bot.sendMessage(msg.chat.id, mergeReply(result));
+});
+
+function mergeReply({ keep, merged, downloads }) {
+  return `🔀 Merged ${merged.join(', ')} into ${keep.customId} (+${downloads} downloads).\nThe old IDs still open ${keep.customId}; use /restore to undo.`;
+}
+
+async function trashView() {
+  const entries = await Trash.find().sort({ deleted_at: -1 }).limit(20).lean();
+  if (!entries.length) return { text: '🗑️ Trash is empty.', keyboard: [] };
+  return {
+    text: `🗑️ <b>Trash</b> (latest ${entries.length}, kept ${TRASH_DAYS} days)\n\nTap a file to restore it.`,
+    keyboard: entries.map(e => [{ text: `♻️ ${e.customId} | ${e.file.clean_title}`, callback_data: `RESTORE:${e.customId}:trash` }])
+  };
+}
+
+bot.onText(/^\/trash/, async (msg) => {
+  if (!await hasRole(msg.from.id, 'moderator')) return;
+  const view = await trashView();
+  bot.sendMessage(msg.chat.id, view.text, { parse_mode: 'HTML', reply_markup: { inline_keyboard: view.keyboard } });
+});
 
+async function restoreReply(actorId, customId) {
+  try {
+    const file = await restoreFile(customId);
+    if (!file) return `❌ ${customId} is not in the trash.`;
+    await audit(actorId, 'file.restore', customId, { title: file.clean_title });
+    return `♻️ Restored ${customId}`;
   } catch (err) {
-    console.error('Callback Error:', err);
-    bot.answerCallbackQuery(q.id, { text: 'Error occurred' }).catch(() => { });
+    return `⚠️ Could not restore ${customId}: ${err.message}`;
+  }
+}
+
+bot.onText(/^\/restore(?:\s+(\S+))?/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'moderator')) return;
+  if (!match[1]) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/restore F0012</code> (see /trash)', { parse_mode: 'HTML' });
+  bot.sendMessage(msg.chat.id, await restoreReply(String(msg.from.id), match[1].toUpperCase()));
+});
+
+// /export [csv] [files bundles users favorites counters] - sends the dump as Telegram documents
+bot.onText(/^\/export(?:\s+(.+))?$/, async (msg, match) => {
+  const adminId = String(msg.from.id);
+  if (!await hasRole(adminId, 'admin')) return;
+  const args = (match[1] || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const format = args.includes('csv') ? 'csv' : 'jsonl';
+  const picked = Object.keys(BACKUP_FIELDS).filter(name => args.includes(name));
+  const collections = picked.length ? picked : Object.keys(BACKUP_FIELDS);
+
+  const status = await bot.sendMessage(msg.chat.id, '⏳ Exporting...');
+  const stamp = new Date().toISOString().slice(0, 10);
+  // JSON Lines holds everything in one file; CSV needs one per collection
+  const parts = format === 'csv' ? collections.map(name => [name]) : [collections];
+  for (const part of parts) {
+    const lines = [];
+    for await (const line of backupLines(format, part)) lines.push(line);
+    const name = format === 'csv' ? `${part[0]}-${stamp}.csv` : `backup-${stamp}.jsonl`;
+    await bot.sendDocument(msg.chat.id, Buffer.from(`${lines.join('\n')}\n`), { caption: `📦 ${part.join(', ')} · ${lines.length - 1} rows` },
+      { filename: name, contentType: format === 'csv' ? 'text/csv' : 'application/x-ndjson' });
+  }
+  await audit(adminId, 'backup.export', null, { format, collections });
+  bot.deleteMessage(msg.chat.id, status.message_id).catch(() => { });
+});
+
+// Reply to an export with /import [skip|overwrite|renumber]: shows a dry run, then imports on confirmation
+bot.onText(/^\/import(?:\s+(\S+))?/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'owner')) return;
+  const doc = msg.reply_to_message?.document;
+  const conflict = (match[1] || 'skip').toLowerCase();
+  if (!doc || !IMPORT_CONFLICTS.includes(conflict)) {
+    return bot.sendMessage(msg.chat.id,
+      `⚠️ Reply to a <code>.jsonl</code> or <code>.csv</code> export with <code>/import</code>\n\nConflicting IDs: <code>skip</code> (default), <code>overwrite</code> or <code>renumber</code>, e.g. <code>/import renumber</code>`,
+      { parse_mode: 'HTML' });
+  }
+  if (doc.file_size > 20 * 1024 * 1024) return bot.sendMessage(msg.chat.id, '❌ Bots can only download files up to 20 MB. Use import.js on the server instead.');
+
+  let report;
+  try {
+    report = await importBackup(parseBackup(await downloadText(doc.file_id)), { dryRun: true, conflict });
+  } catch (err) {
+    return bot.sendMessage(msg.chat.id, `❌ ${err.message}`);
+  }
+
+  const token = crypto.randomBytes(6).toString('hex');
+  await redis.set(`import:${token}`, JSON.stringify({ fileId: doc.file_id, name: doc.file_name, conflict }), 'EX', 600);
+  bot.sendMessage(msg.chat.id, `${importReportText(report, doc.file_name)}\n\n<i>Nothing has been written yet. This confirmation expires in 10 minutes.</i>`, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '📥 Import', callback_data: `IMPORT:${token}` }],
+        [{ text: '❌ Cancel', callback_data: `IMPORT_CANCEL:${token}` }]
+      ]
+    }
+  });
+});
+
+async function downloadText(fileId) {
+  const res = await fetch(await bot.getFileLink(fileId));
+  if (!res.ok) throw new Error(`Download failed (${res.status})`);
+  return res.text();
+}
+
+// /audit (latest) | /audit 12345 or @user (by or about a user) | /audit F0012 | /audit file.delete (action prefix)
+bot.onText(/^\/audit(?:\s+(\S+))?/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  const arg = match[1];
+
+  let query = {};
+  if (arg && /^(\d+|@\w+)$/.test(arg)) {
+    const userId = await resolveUserId(arg);
+    if (!userId) return bot.sendMessage(msg.chat.id, '❌ Unknown user.');
+    query = { $or: [{ actorId: userId }, { target: userId }] };
+  } else if (arg && /^[A-Z]\d{4,}$/i.test(arg)) {
+    query = { target: arg.toUpperCase() };
+  } else if (arg) {
+    query = { action: new RegExp(`^${escapeRegex(arg.toLowerCase())}`) };
+  }
+
+  const entries = await Audit.find(query).sort({ created_at: -1 }).limit(20).lean();
+  if (!entries.length) return bot.sendMessage(msg.chat.id, '📜 No matching audit entries.');
+  bot.sendMessage(msg.chat.id, `📜 <b>Audit Log</b>${arg ? ` (${escapeHtml(arg)})` : ''}\n\n${entries.map(auditLine).join('\n')}`, { parse_mode: 'HTML' });
+});
+
+// Per-file auto-delete override: /autodelete F0012 300 | off | default
+bot.onText(/^\/autodelete(?:\s+(\S+)\s+(\d+|off|default))?\s*$/i, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
+  if (!match[1]) {
+    return bot.sendMessage(msg.chat.id,
+      `⚠️ Usage: <code>/autodelete F0012 300</code> (seconds), <code>off</code> or <code>default</code>\n\nDefault for files: ${AUTO_DELETE_MS.file ? formatDelay(AUTO_DELETE_MS.file) : 'off'}`,
+      { parse_mode: 'HTML' });
   }
+
+  const customId = match[1].toUpperCase();
+  const value = match[2].toLowerCase();
+  const update = value === 'default' ? { $unset: { autoDeleteSec: 1 } } : { $set: { autoDeleteSec: value === 'off' ? 0 : Number(value) } };
+  const res = await File.updateOne({ customId }, update);
+  if (!res.matchedCount) return bot.sendMessage(msg.chat.id, '❌ Not found');
+  await audit(msg.from.id, 'file.edit', customId, { autoDeleteSec: value });
+
+  const label = value === 'default' ? 'the default' : value === 'off' ? 'off' : formatDelay(Number(value) * 1000);
+  bot.sendMessage(msg.chat.id, `🧹 Auto-delete for ${customId}: ${label}`);
 });
 
-bot.onText(/\/delete (.+)/, async (msg, match) => {
-  if (!ADMIN_SET.has(String(msg.from.id))) return;
+// Assign a file to a show: /setseries F0012 Breaking Bad S02E05 (or "-" to detach)
+bot.onText(/\/setseries (\S+) (.+)/, async (msg, match) => {
+  if (!await hasRole(msg.from.id, 'admin')) return;
   const customId = match[1].trim().toUpperCase();
-  const res = await File.deleteOne({ customId });
-  bot.sendMessage(msg.chat.id, res.deletedCount ? `🗑️ Deleted ${customId}` : '❌ Not found');
+  const rest = match[2].trim();
+
+  if (rest === '-') {
+    const res = await File.updateOne({ customId }, { $unset: { seriesId: 1 } });
+    if (res.matchedCount) await audit(msg.from.id, 'file.edit', customId, { seriesId: null });
+    return bot.sendMessage(msg.chat.id, res.matchedCount ? `📺 Removed ${customId} from its series` : '❌ Not found');
+  }
+
+  // Check the file first so a typo in the ID doesn't leave an empty series behind
+  if (!await File.exists({ customId })) return bot.sendMessage(msg.chat.id, '❌ Not found');
+
+  const release = parseReleaseInfo(rest);
+  const title = seriesTitleFrom(cleanFileName(rest));
+  const series = await findOrCreateSeries(title);
+  if (!series) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/setseries F0012 Show Name S02E05</code>', { parse_mode: 'HTML' });
+
+  const update = { seriesId: series.seriesId };
+  if (release.season) update.season = release.season;
+  if (release.episode) update.episode = release.episode;
+
+  const res = await File.updateOne({ customId }, { $set: update });
+  if (res.matchedCount) await audit(msg.from.id, 'file.edit', customId, update);
+  bot.sendMessage(msg.chat.id, res.matchedCount
+    ? `📺 ${customId} → ${series.title} (${series.seriesId})${release.season ? ` ${seasonLabel(release.season)}` : ''}${release.episode ? ` Episode ${release.episode}` : ''}`
+    : '❌ Not found');
+});
+
+// Bundles:
+//   /bundle [parts] F0001 F0002 [...] [Title]  build from existing files (title defaults to the first file's)
+//   /bundle start [parts] [Title]             collect the next uploads you save, then /bundle done (or cancel)
+//   /bundle B0001                             show the items | /bundle delete B0001
+bot.onText(/^\/bundle(?:\s+([\s\S]+))?$/, async (msg, match) => {
+  const adminId = String(msg.from.id);
+  if (!await hasRole(adminId, 'admin')) return;
+  const words = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+  const command = words[0]?.toLowerCase();
+  const draftKey = `bundledraft:${adminId}`;
+
+  const create = async (kind, items, title) => {
+    const files = [];
+    for (const id of items) {
+      const file = await findFileById(id);
+      if (!file) return bot.sendMessage(msg.chat.id, `❌ ${id} not found`);
+      if (!files.some(f => f.customId === file.customId)) files.push(file);
+    }
+    if (files.length < 2) return bot.sendMessage(msg.chat.id, '⚠️ A bundle needs at least 2 different files.');
+    if (files.length > MAX_BUNDLE_ITEMS) return bot.sendMessage(msg.chat.id, `⚠️ A bundle holds at most ${MAX_BUNDLE_ITEMS} files.`);
+
+    const name = title || defaultBundleTitle(files[0]);
+    const bundleId = await createBundle({ title: name, kind, items: files.map(f => f.customId), createdBy: adminId });
+    await audit(adminId, 'bundle.create', bundleId, { kind, items: files.map(f => f.customId) });
+    return bot.sendMessage(msg.chat.id,
+      `📦 <b>Created ${bundleId}</b> (${kind === 'parts' ? 'parts: 1 download' : 'collection: 1 download per file'})\n${escapeHtml(name)}\n\n${files.map((f, i) => `${i + 1}. <code>${f.customId}</code> ${escapeHtml(f.clean_title)}`).join('\n')}`,
+      { parse_mode: 'HTML' });
+  };
+
+  if (command === 'start') {
+    const kind = words[1]?.toLowerCase() === 'parts' ? 'parts' : 'collection';
+    const title = words.slice(kind === 'parts' ? 2 : 1).join(' ');
+    await redis.set(draftKey, JSON.stringify({ kind, title, items: [] }), 'EX', 3600);
+    return bot.sendMessage(msg.chat.id, `📦 Bundle draft started (${kind}). Send the files and save each one; they are added in order.\n/bundle done to create it, /bundle cancel to drop it.`);
+  }
+
+  if (command === 'done' || command === 'cancel') {
+    const draft = JSON.parse(await redis.getdel(draftKey) || 'null');
+    if (!draft) return bot.sendMessage(msg.chat.id, '⚠️ No bundle draft. Start one with /bundle start');
+    if (command === 'cancel') return bot.sendMessage(msg.chat.id, '❌ Bundle draft dropped. The uploaded files stay in the catalog.');
+    return create(draft.kind, draft.items, draft.title);
+  }
+
+  if (command === 'delete' && /^B\d{4,}$/i.test(words[1] || '')) {
+    const bundleId = words[1].toUpperCase();
+    const res = await Bundle.deleteOne({ bundleId });
+    if (!res.deletedCount) return bot.sendMessage(msg.chat.id, '❌ Not found');
+    await Favorite.deleteMany({ customId: bundleId });
+    await audit(adminId, 'bundle.delete', bundleId);
+    return bot.sendMessage(msg.chat.id, `🗑️ Deleted bundle ${bundleId}. Its files stay in the catalog.`);
+  }
+
+  if (words.length === 1 && /^B\d{4,}$/i.test(command)) {
+    const bundle = await Bundle.findOne({ bundleId: command.toUpperCase() }).lean();
+    if (!bundle) return bot.sendMessage(msg.chat.id, '❌ Not found');
+    const files = await bundleFiles(bundle);
+    return bot.sendMessage(msg.chat.id,
+      `📦 <b>${bundle.bundleId}</b> ${escapeHtml(bundle.title)} (${bundle.kind}, ${bundle.downloads} downloads)\n\n${files.map((f, i) => `${i + 1}. <code>${f.customId}</code> ${escapeHtml(f.clean_title)}`).join('\n') || 'All files were deleted.'}`,
+      { parse_mode: 'HTML' });
+  }
+
+  const kind = command === 'parts' ? 'parts' : 'collection';
+  const rest = kind === 'parts' ? words.slice(1) : words;
+  const ids = [];
+  while (rest.length && /^F\d{4,}$/i.test(rest[0])) ids.push(rest.shift().toUpperCase());
+  if (!ids.length) {
+    return bot.sendMessage(msg.chat.id,
+      '⚠️ Usage:\n<code>/bundle F0001 F0002 F0003 Iron Man Trilogy</code> (collection)\n<code>/bundle parts F0010 F0011</code> (split movie)\n<code>/bundle start [parts] [Title]</code> then upload, then <code>/bundle done</code>\n<code>/bundle B0001</code> | <code>/bundle delete B0001</code>\n\nParts count as 1 download; collections count 1 per file.',
+      { parse_mode: 'HTML' });
+  }
+  return create(kind, ids, rest.join(' '));
+});
+
+// --- ROLE MANAGEMENT ---
+// Staff can only manage users ranked below them, and only grant roles below their own
+async function roleChangeError(actorId, targetId, newRole) {
+  const [actor, target] = await Promise.all([getAccess(actorId), getAccess(targetId)]);
+  if (target.role === 'owner') return '⚠️ Owners are set with ADMIN_IDS and can\'t be changed from the bot.';
+  if (ROLES.indexOf(target.role) >= ROLES.indexOf(actor.role)) return '⚠️ You can only manage users ranked below you.';
+  if (newRole && ROLES.indexOf(newRole) >= ROLES.indexOf(actor.role)) return `⚠️ You can't grant the ${newRole} role.`;
+  return null;
+}
+
+// /ban 12345 spamming  |  /ban @username
+bot.onText(/^\/ban(?:\s+(\S+)(?:\s+([\s\S]+))?)?$/, async (msg, match) => {
+  const actorId = String(msg.from.id);
+  if (!await hasRole(actorId, 'moderator')) return;
+  if (!match[1]) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/ban 12345 [reason]</code> or <code>/ban @username</code>', { parse_mode: 'HTML' });
+
+  const userId = await resolveUserId(match[1]);
+  if (!userId) return bot.sendMessage(msg.chat.id, '❌ Unknown user. Use their numeric ID.');
+
+  const error = await roleChangeError(actorId, userId, 'banned');
+  if (error) return bot.sendMessage(msg.chat.id, error);
+
+  await setUserAccess(userId, { $set: { role: 'banned', banReason: match[2]?.trim() || null }, $unset: { premiumUntil: 1 } });
+  await audit(actorId, 'user.ban', userId, match[2] ? { reason: match[2].trim() } : undefined);
+  bot.sendMessage(msg.chat.id, `🚫 Banned <code>${userId}</code>${match[2] ? `\nReason: ${escapeHtml(match[2].trim())}` : ''}`, { parse_mode: 'HTML' });
+});
+
+bot.onText(/^\/unban(?:\s+(\S+))?$/, async (msg, match) => {
+  const actorId = String(msg.from.id);
+  if (!await hasRole(actorId, 'moderator')) return;
+  if (!match[1]) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/unban 12345</code>', { parse_mode: 'HTML' });
+
+  const userId = await resolveUserId(match[1]);
+  if (!userId || (await getAccess(userId)).role !== 'banned') return bot.sendMessage(msg.chat.id, '❌ That user is not banned.');
+
+  await setUserAccess(userId, { $set: { role: 'user' }, $unset: { banReason: 1 } });
+  await audit(actorId, 'user.unban', userId);
+  bot.sendMessage(msg.chat.id, `✅ Unbanned <code>${userId}</code>`, { parse_mode: 'HTML' });
+});
+
+// Users muted by the anti-flood limiter, soonest to expire first
+bot.onText(/^\/mutes/, async (msg) => {
+  if (!await hasRole(msg.from.id, 'moderator')) return;
+  await redis.zremrangebyscore(MUTES_KEY, '-inf', Date.now());
+  const entries = await redis.zrange(MUTES_KEY, 0, 49, 'WITHSCORES');
+  if (!entries.length) return bot.sendMessage(msg.chat.id, '🔇 Nobody is muted for flooding right now.');
+
+  const ids = entries.filter((_, i) => i % 2 === 0);
+  const users = await User.find({ userId: { $in: ids } }, { userId: 1, firstName: 1, username: 1 }).lean();
+  const names = new Map(users.map(u => [u.userId, u.username ? `@${u.username}` : escapeHtml(u.firstName || '')]));
+  const lines = ids.map((id, i) => `• <code>${id}</code> ${names.get(id) || ''} - ${formatDelay(Number(entries[i * 2 + 1]) - Date.now())} left`);
+  bot.sendMessage(msg.chat.id, `🔇 <b>Muted for Flooding</b>\n\n${lines.join('\n')}\n\nLift one with <code>/unmute 12345</code>. Past mutes: <code>/audit user.mute</code>`, { parse_mode: 'HTML' });
+});
+
+bot.onText(/^\/unmute(?:\s+(\S+))?$/, async (msg, match) => {
+  const actorId = String(msg.from.id);
+  if (!await hasRole(actorId, 'moderator')) return;
+  if (!match[1]) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/unmute 12345</code>', { parse_mode: 'HTML' });
+
+  const userId = await resolveUserId(match[1]);
+  if (!userId || !await unmuteUser(userId)) return bot.sendMessage(msg.chat.id, '❌ That user is not muted.');
+  await audit(actorId, 'user.unmute', userId);
+  bot.sendMessage(msg.chat.id, `🔊 Unmuted <code>${userId}</code>`, { parse_mode: 'HTML' });
+});
+
+// /promote 12345 premium 30  |  /promote @username moderator  |  /promote 12345 user (demote)
+bot.onText(/^\/promote(?:\s+(\S+)\s+(\w+)(?:\s+(\d+))?)?\s*$/, async (msg, match) => {
+  const actorId = String(msg.from.id);
+  if (!await hasRole(actorId, 'admin')) return;
+
+  const role = match[2]?.toLowerCase();
+  if (!['user', 'premium', 'moderator', 'admin'].includes(role)) {
+    return bot.sendMessage(msg.chat.id,
+      '⚠️ Usage: <code>/promote 12345 premium 30</code>\n\nRoles: user, premium, moderator, admin (owner only)\nDays are optional and only apply to premium.',
+      { parse_mode: 'HTML' });
+  }
+
+  const userId = await resolveUserId(match[1]);
+  if (!userId) return bot.sendMessage(msg.chat.id, '❌ Unknown user. Use their numeric ID.');
+
+  const error = await roleChangeError(actorId, userId, role);
+  if (error) return bot.sendMessage(msg.chat.id, error);
+
+  const days = Number(match[3]) || 0;
+  let update = { $set: { role }, $unset: { premiumUntil: 1, banReason: 1 } };
+  let until = null;
+  if (role === 'premium' && days) {
+    // Extend an active grant instead of restarting it
+    const { premiumUntil } = await getAccess(userId);
+    const from = premiumUntil ? Math.max(new Date(premiumUntil).getTime(), Date.now()) : Date.now();
+    until = new Date(from + days * 86400000);
+    update = { $set: { role, premiumUntil: until }, $unset: { banReason: 1 } };
+  }
+
+  await setUserAccess(userId, update);
+  await audit(actorId, 'user.promote', userId, { role, ...(until && { until: until.toISOString().slice(0, 10) }) });
+  const expiry = until ? ` until ${until.toISOString().slice(0, 10)}` : '';
+  bot.sendMessage(msg.chat.id, `🏷 <code>${userId}</code> is now <b>${capitalize(role)}</b>${expiry}`, { parse_mode: 'HTML' });
+
+  const { limit } = await getAccess(userId);
+  bot.sendMessage(userId, `🏷 Your role is now <b>${capitalize(role)}</b>${expiry}.\n🎯 Daily limit: ${formatLimit(limit)}`, { parse_mode: 'HTML' }).catch(() => { });
+});
+
+// /setlimit 12345 300  |  /setlimit 12345 default
+bot.onText(/^\/setlimit(?:\s+(\S+)\s+(\d+|default))?\s*$/, async (msg, match) => {
+  const actorId = String(msg.from.id);
+  if (!await hasRole(actorId, 'admin')) return;
+  if (!match[1]) return bot.sendMessage(msg.chat.id, '⚠️ Usage: <code>/setlimit 12345 300</code> or <code>/setlimit 12345 default</code>', { parse_mode: 'HTML' });
+
+  const userId = await resolveUserId(match[1]);
+  if (!userId) return bot.sendMessage(msg.chat.id, '❌ Unknown user. Use their numeric ID.');
+
+  const error = await roleChangeError(actorId, userId, null);
+  if (error) return bot.sendMessage(msg.chat.id, error);
+
+  await setUserAccess(userId, match[2] === 'default' ? { $unset: { dailyLimit: 1 } } : { $set: { dailyLimit: Number(match[2]) } });
+  await audit(actorId, 'user.setlimit', userId, { limit: match[2] });
+  const { role, limit } = await getAccess(userId);
+  bot.sendMessage(msg.chat.id, `🎯 Daily limit for <code>${userId}</code> (${role}): ${formatLimit(limit)}`, { parse_mode: 'HTML' });
 });
 
+// --- START ---
+// Updates only start flowing once every handler above is registered
+
+// Handlers don't report when they're done, so wait until the stub API has been quiet for a while
+async function replaySettled(idleMs = 1500) {
+  const started = Date.now();
+  do {
+    await new Promise(r => setTimeout(r, 100));
+  } while (Date.now() - Math.max(replayLastCallAt, started) < idleMs);
+}
+
+async function runReplay(args) {
+  const outIndex = args.indexOf('--out');
+  const out = outIndex >= 0 ? args[outIndex + 1] : null;
+  const files = args.filter((a, i) => a !== '--replay' && (outIndex < 0 || (i !== outIndex && i !== outIndex + 1)));
+  if (!files.length) throw new Error('Usage: node bot.js --replay update.json [more.json] [--out transcript.json]');
+
+  await replaySettled(500); // Let startup calls (setMyCommands, backfills) finish first
+  const transcript = [];
+  for (const file of files) {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    for (const update of [].concat(data)) {
+      const start = replayCalls.length;
+      bot.processUpdate(update);
+      await replaySettled();
+      transcript.push({ file, update_id: update.update_id, calls: replayCalls.slice(start) });
+    }
+  }
+
+  const json = JSON.stringify(transcript, null, 2);
+  if (out) await writeFile(out, json);
+  else console.log(json);
+}
+
+// node export.js [backup.jsonl|files.csv] [--only files,bundles,users,favorites,counters]
+// node import.js backup.jsonl [--dry-run] [--conflict skip|overwrite|renumber]
+async function runBackupCli(command, args) {
+  const option = name => args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+  const path = args.find((a, i) => !a.startsWith('--') && !['--only', '--conflict'].includes(args[i - 1]));
+
+  if (command === '--export') {
+    const out = path || `backup-${new Date().toISOString().slice(0, 10)}.jsonl`;
+    const format = out.endsWith('.csv') ? 'csv' : 'jsonl';
+    const collections = option('--only')?.split(',').filter(name => BACKUP_FIELDS[name]) || Object.keys(BACKUP_FIELDS);
+    // CSV holds one collection per file: backup.csv -> backup-files.csv, backup-users.csv, ...
+    const targets = format === 'csv' && collections.length > 1
+      ? collections.map(name => [out.replace(/\.csv$/, `-${name}.csv`), [name]])
+      : [[out, collections]];
+
+    for (const [file, part] of targets) {
+      const stream = createWriteStream(file);
+      let rows = 0;
+      for await (const line of backupLines(format, part)) {
+        if (!stream.write(`${line}\n`)) await once(stream, 'drain');
+        rows++;
+      }
+      stream.end();
+      await once(stream, 'finish');
+      console.log(`📦 ${file}: ${part.join(', ')} (${rows - 1} rows)`);
+    }
+    return;
+  }
+
+  const conflict = option('--conflict') || 'skip';
+  if (!path || !IMPORT_CONFLICTS.includes(conflict)) {
+    throw new Error('Usage: node import.js backup.jsonl [--dry-run] [--conflict skip|overwrite|renumber]');
+  }
+  const report = await importBackup(parseBackup(await readFile(path, 'utf8')), { dryRun: args.includes('--dry-run'), conflict });
+  if (!report.dryRun) await audit('cli', 'backup.import', path, { conflict, files: report.files.inserted + report.files.renumbered, users: report.users.inserted });
+  console.log(importReportText(report, path).replace(/<[^>]+>/g, ''));
+}
+
+if (TRANSPORT === 'replay') {
+  try {
+    if (BACKUP_CLI) await runBackupCli(BACKUP_CLI, process.argv.slice(2).filter(a => a !== BACKUP_CLI));
+    else await runReplay(process.argv.slice(2));
+  } catch (err) {
+    console.error(`❌ ${BACKUP_CLI ? 'Backup' : 'Replay'} failed:`, err.message);
+    process.exitCode = 1;
+  }
+  await mongoose.disconnect();
+  redis.disconnect();
+  process.exit();
+} else if (TRANSPORT === 'polling') {
+  await bot.deleteWebHook();
+  await bot.startPolling();
+  console.log('🤖 Polling for updates');
+} else {
+  await bot.setWebHook(`${RENDER_EXTERNAL_URL}/bot${TELEGRAM_TOKEN}`, { secret_token: TELEGRAM_WEBHOOK_SECRET })
+    .catch(err => console.error('Set Webhook Error:', err.message));
+}
+
 process.on('SIGINT', async () => {
   await mongoose.disconnect();
   process.exit(0);
@@ -0,0 +1,4 @@
+// Dump the catalog without starting the bot (uses the same .env as bot.js):
+//   node export.js [backup.jsonl | backup.csv] [--only files,bundles,users,favorites,counters]
+process.argv.splice(2, 0, '--export');
+await import('./bot.js');
@@ -0,0 +1,4 @@
+// Load an export into the database without starting the bot (uses the same .env as bot.js):
+//   node import.js backup.jsonl [--dry-run] [--conflict skip|overwrite|renumber]
+process.argv.splice(2, 0, '--import');
+await import('./bot.js');
@@ -0,0 +1,84 @@
+// Backup formats: JSON Lines (one `collection` field per line) and CSV (one collection per file)
+
+import { ReleaseFields } from './release.js';
+
+export const BACKUP_FIELDS = {
+  files: ['customId', 'file_id', 'file_unique_id', 'file_name', 'type', 'clean_title', 'tags', 'file_size', 'file_bytes', 'downloads',
+    'uploader_id', 'uploaded_at', ...Object.keys(ReleaseFields), 'series_title', 'autoDeleteSec', 'aliases'],
+  bundles: ['bundleId', 'title', 'kind', 'items', 'downloads', 'created_by', 'created_at'],
+  users: ['userId', 'firstName', 'username', 'joinedAt', 'lastSeenAt', 'active', 'role', 'language', 'languageCode', 'dailyLimit', 'premiumUntil', 'banReason', 'referralCode', 'referredBy'],
+  favorites: ['userId', 'customId', 'savedAt'],
+  counters: ['_id', 'seq']
+};
+
+export const BACKUP_ARRAY_FIELDS = new Set(['tags', 'languages', 'subtitles', 'aliases', 'items']); // "a|b" in CSV
+
+export function csvCell(value) {
+  const text = value == null ? '' : Array.isArray(value) ? value.join('|') : value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') cell += text[++i];
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter(r => r.some(Boolean));
+}
+
+// A document's set fields, as a CSV row (in BACKUP_FIELDS order, under a header of them) or a JSON Lines entry
+export function backupLine(format, collection, doc) {
+  const fields = BACKUP_FIELDS[collection];
+  const record = {};
+  for (const f of fields) {
+    if (doc[f] != null && !(Array.isArray(doc[f]) && !doc[f].length)) record[f] = doc[f];
+  }
+  return format === 'csv' ? fields.map(f => csvCell(record[f])).join(',') : JSON.stringify({ collection, ...record });
+}
+
+// -> [{ collection, record, line }] or [{ error, line }]. CSV files hold one collection, recognised by the header.
+export function parseBackup(text) {
+  text = text.replace(/^\uFEFF/, '');
+  if (text.trimStart().startsWith('{')) {
+    return text.split(/\r?\n/).map((raw, i) => {
+      if (!raw.trim()) return null;
+      try {
+        const { collection, ...record } = JSON.parse(raw);
+        return collection === 'meta' ? null : { collection, record, line: i + 1 };
+      } catch {
+        return { error: 'not valid JSON', line: i + 1 };
+      }
+    }).filter(Boolean);
+  }
+
+  const [header = [], ...rows] = parseCsv(text);
+  const has = field => header.includes(field);
+  const collection = has('bundleId') ? 'bundles' : has('file_id') ? 'files' : has('userId') && has('customId') ? 'favorites' : has('userId') ? 'users' : has('seq') ? 'counters' : null;
+  if (!collection) throw new Error('Unrecognised file: expected JSON Lines or a CSV export');
+
+  return rows.map((row, i) => {
+    const record = {};
+    header.forEach((field, col) => {
+      if (!BACKUP_FIELDS[collection].includes(field) || row[col] == null || row[col] === '') return;
+      record[field] = BACKUP_ARRAY_FIELDS.has(field) ? row[col].split('|').filter(Boolean) : row[col];
+    });
+    return { collection, record, line: i + 2 };
+  });
+}
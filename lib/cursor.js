@@ -0,0 +1,14 @@
+// Opaque pagination cursors for the public API
+
+export function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch {
+    return null;
+  }
+}
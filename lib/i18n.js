@@ -0,0 +1,23 @@
+// One JSON catalog per language in locales/. Plural entries are objects keyed by Intl.PluralRules
+// category ("one", "other", ...); missing keys fall back to English.
+
+import { fileURLToPath } from 'url';
+import { readFile, readdir } from 'fs/promises';
+
+export const DEFAULT_LANG = 'en';
+const LOCALES_DIR = fileURLToPath(new URL('../locales', import.meta.url));
+export const LOCALES = {};
+for (const file of await readdir(LOCALES_DIR)) {
+  if (file.endsWith('.json')) LOCALES[file.slice(0, -5)] = JSON.parse(await readFile(`${LOCALES_DIR}/${file}`, 'utf8'));
+}
+
+export function pickLanguage(code) {
+  const base = (code || '').toLowerCase().split('-')[0];
+  return LOCALES[base] ? base : DEFAULT_LANG;
+}
+
+export function t(lang, key, vars = {}) {
+  let entry = LOCALES[lang]?.[key] ?? LOCALES[DEFAULT_LANG][key] ?? key;
+  if (typeof entry === 'object') entry = entry[new Intl.PluralRules(lang).select(vars.count ?? 0)] ?? entry.other;
+  return entry.replace(/\{(\w+)\}/g, (m, name) => vars[name] ?? m);
+}
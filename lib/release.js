@@ -0,0 +1,145 @@
+// Release metadata (year, season/episode, quality, source, codec, languages) parsed from file names
+
+import { capitalize, cleanFileName, generateAttributes } from './text.js';
+
+// Structured release metadata parsed from filenames (shared by File and Pending)
+export const ReleaseFields = {
+  year: Number,
+  season: Number,
+  episode: Number,
+  resolution: String,
+  source: String,
+  codec: String,
+  languages: [String],
+  subtitles: [String]
+};
+
+export const RESOLUTIONS = { '2160p': '2160p', '4k': '2160p', uhd: '2160p', '1080p': '1080p', '720p': '720p', '480p': '480p', '360p': '360p' };
+
+export const SOURCES = {
+  webdl: 'WEB-DL', web: 'WEB-DL', webrip: 'WEBRip', bluray: 'BluRay', brrip: 'BluRay', bdrip: 'BluRay',
+  hdrip: 'HDRip', dvdrip: 'DVDRip', hdtv: 'HDTV', camrip: 'CAM', hdcam: 'CAM', cam: 'CAM', hdts: 'TS', predvd: 'CAM'
+};
+
+export const CODECS = { x265: 'x265', h265: 'x265', hevc: 'x265', x264: 'x264', h264: 'x264', avc: 'x264', av1: 'AV1' };
+
+export const LANGUAGES = {
+  hindi: ['hin', 'hindi'], english: ['eng', 'english'], tamil: ['tam', 'tamil'], telugu: ['tel', 'telugu'],
+  malayalam: ['mal', 'malayalam'], kannada: ['kan', 'kannada'], bengali: ['ben', 'bengali'], marathi: ['marathi'],
+  punjabi: ['pun', 'punjabi'], spanish: ['spa', 'esp', 'spanish', 'latino'], french: ['fre', 'french'],
+  korean: ['kor', 'korean'], japanese: ['jap', 'jpn', 'japanese'], chinese: ['chi', 'chinese', 'mandarin']
+};
+
+export const LANGUAGE_ALIASES = new Map(Object.entries(LANGUAGES).flatMap(([lang, aliases]) => aliases.map(a => [a, lang])));
+
+export const SUBTITLES = { esub: 'english', esubs: 'english', hsub: 'hindi', hsubs: 'hindi', msub: 'multi', msubs: 'multi' };
+
+export function parseReleaseInfo(text) {
+  const info = { languages: [], subtitles: [] };
+  // "WEB-DL" and "Blu-Ray" must survive as one token, so drop joiners first
+  const name = text.replace(/\b(web|blu)[ ._-](dl|ray|rip)\b/gi, '$1$2');
+  const tokens = name.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+  const se = name.match(/\bS(\d{1,2})[ ._-]?E(\d{1,3})\b/i) ||
+    name.match(/\b(\d{1,2})x(\d{2,3})\b/) ||
+    name.match(/\bSeason[ ._-]?(\d{1,2})[ ._-]*Episode[ ._-]?(\d{1,3})\b/i);
+  if (se) {
+    info.season = Number(se[1]);
+    info.episode = Number(se[2]);
+  } else {
+    const seasonOnly = name.match(/\b(?:S|Season[ ._-]?)(\d{1,2})\b/i);
+    if (seasonOnly) info.season = Number(seasonOnly[1]);
+  }
+
+  const years = [...name.matchAll(/(?:^|[^0-9])((?:19[3-9]|20[0-4])\d)(?![0-9p])/gi)];
+  if (years.length) info.year = Number(years[years.length - 1][1]);
+
+  for (const token of tokens) {
+    if (!info.resolution && RESOLUTIONS[token]) info.resolution = RESOLUTIONS[token];
+    if (!info.source && SOURCES[token]) info.source = SOURCES[token];
+    if (!info.codec && CODECS[token]) info.codec = CODECS[token];
+
+    const lang = LANGUAGE_ALIASES.get(token);
+    if (lang && !info.languages.includes(lang)) info.languages.push(lang);
+
+    const sub = SUBTITLES[token];
+    if (sub && !info.subtitles.includes(sub)) info.subtitles.push(sub);
+  }
+
+  return info;
+}
+
+export function formatReleaseInfo(info) {
+  const lines = [];
+  if (info.year) lines.push(`Year: ${info.year}`);
+  if (info.season) lines.push(`Season: ${info.season}${info.episode ? ` · Episode: ${info.episode}` : ''}`);
+  if (info.resolution) lines.push(`Quality: ${info.resolution}`);
+  if (info.source) lines.push(`Source: ${info.source}`);
+  if (info.codec) lines.push(`Codec: ${info.codec}`);
+  if (info.languages?.length) lines.push(`Audio: ${info.languages.map(capitalize).join(', ')}`);
+  if (info.subtitles?.length) lines.push(`Subtitles: ${info.subtitles.map(capitalize).join(', ')}`);
+  return lines.join('\n');
+}
+
+// Admin corrections for the "Review Upload" step, one "field: value" per line.
+// Returns null if any line isn't a known field, so normal replies aren't swallowed.
+export function parseReleaseCorrections(text) {
+  const update = {};
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const m = line.match(/^(\w+)\s*[:=]\s*(.*)$/);
+    if (!m) return null;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    const clear = !value || ['-', 'none'].includes(value.toLowerCase());
+    const list = () => clear ? [] : value.toLowerCase().split(/[\s,]+/).filter(Boolean).map(v => LANGUAGE_ALIASES.get(v) || SUBTITLES[v] || v);
+
+    switch (field) {
+      case 'title':
+      case 'name':
+        if (clear) return null;
+        update.clean_title = cleanFileName(value);
+        update.attributes = generateAttributes(update.clean_title);
+        break;
+      case 'series':
+      case 'show':
+        update.series_title = clear ? null : cleanFileName(value);
+        break;
+      case 'year':
+      case 'season':
+      case 'episode':
+        if (!clear && !/^\d+$/.test(value)) return null;
+        update[field] = clear ? null : Number(value);
+        break;
+      case 'quality':
+      case 'resolution':
+        update.resolution = clear ? null : (RESOLUTIONS[value.toLowerCase()] || value);
+        break;
+      case 'source':
+        update.source = clear ? null : (SOURCES[value.toLowerCase().replace(/[^a-z0-9]/g, '')] || value);
+        break;
+      case 'codec':
+        update.codec = clear ? null : (CODECS[value.toLowerCase()] || value);
+        break;
+      case 'audio':
+      case 'lang':
+      case 'languages':
+        update.languages = list();
+        break;
+      case 'subs':
+      case 'subtitles':
+        update.subtitles = list();
+        break;
+      default:
+        return null;
+    }
+  }
+  return Object.keys(update).length ? update : null;
+}
+
+// "Breaking Bad 2008 S01E02 720p" -> "Breaking Bad"
+export function seriesTitleFrom(cleanTitle) {
+  return cleanTitle
+    .replace(/\b(S\d{1,2}\s?E\d{1,3}|S\d{1,2}|\d{1,2}x\d{2,3}|Season\s?\d{1,2})\b.*$/i, '')
+    .replace(/\s*\b(19|20)\d{2}\s*$/, '')
+    .trim();
+}
@@ -0,0 +1,139 @@
+// Search terms, trigrams and in-memory ranking. Candidate lookup stays in bot.js, next to the models.
+
+import { cleanFileName, generateAttributes } from './text.js';
+
+export const SEARCH_MAX_TERMS = 8;
+
+export function normalizeTerm(term) {
+  return term
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+}
+
+export function searchTerms(text) {
+  return generateAttributes(cleanFileName(text))
+    .map(normalizeTerm)
+    .filter(Boolean)
+    .slice(0, SEARCH_MAX_TERMS);
+}
+
+// "^av", "ave", ... "rs$" — the boundary markers make prefixes and suffixes match
+export function trigrams(term) {
+  const padded = `^${term}$`;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) grams.push(padded.slice(i, i + 3));
+  return grams;
+}
+
+// Title words plus adjacent pairs joined, so "spiderman" finds "Spider Man"
+export function titleTerms(attributes) {
+  const words = attributes.map(normalizeTerm).filter(Boolean);
+  const joined = words.slice(1).map((w, i) => words[i] + w);
+  return { words, joined };
+}
+
+export function generateSearchGrams(attributes) {
+  const { words, joined } = titleTerms(attributes);
+  return [...new Set([...words, ...joined].flatMap(trigrams))];
+}
+
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+export function typoBudget(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+export function termScore(keyword, term) {
+  if (term === keyword) return 1;
+  if (term.startsWith(keyword)) return 0.9;
+  if (keyword.startsWith(term) && term.length >= 3) return 0.75;
+
+  const budget = typoBudget(keyword);
+  if (budget) {
+    const dist = editDistance(keyword, term, budget);
+    if (dist <= budget) return 0.8 - dist * 0.1;
+    if (term.length > keyword.length && editDistance(keyword, term.slice(0, keyword.length), budget) <= budget) return 0.6;
+  }
+
+  if (keyword.length >= 3 && term.includes(keyword)) return 0.5;
+  return 0;
+}
+
+export function scoreFile(keywords, file) {
+  const { words, joined } = titleTerms(file.attributes || []);
+  const terms = [...words, ...joined];
+  if (!terms.length) return 0;
+
+  let total = 0, matched = 0;
+  for (const keyword of keywords) {
+    let best = 0;
+    for (const term of terms) {
+      best = Math.max(best, termScore(keyword, term));
+      if (best === 1) break;
+    }
+    if (best) matched++;
+    total += best;
+  }
+
+  // Long queries may miss a word or two ("the", "movie"), short ones may not
+  if (matched < keywords.length - Math.floor(keywords.length / 3)) return 0;
+
+  const relevance = total / keywords.length;
+  const coverage = Math.min(matched / words.length, 1); // Prefer titles the query fully explains
+  const leading = termScore(keywords[0], words[0]) >= 0.75 ? 1 : 0; // Prefer titles that start with the query
+  return relevance * 0.8 + coverage * 0.1 + leading * 0.1;
+}
+
+// Matching files, best first: relevance, then downloads, then recency
+export function rankFiles(keywords, files) {
+  return files
+    .map(f => ({ f, score: Math.round(scoreFile(keywords, f) * 100) / 100 }))
+    .filter(r => r.score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      (b.f.downloads || 0) - (a.f.downloads || 0) ||
+      new Date(b.f.uploaded_at) - new Date(a.f.uploaded_at))
+    .map(r => r.f);
+}
+
+// "Did you mean…": swap each keyword for the closest title word among the candidates
+export function suggestQuery(keywords, candidates) {
+  const vocabulary = new Set(candidates.flatMap(f => titleTerms(f.attributes || []).words));
+  if (!vocabulary.size) return null;
+
+  const similarity = (a, b) => {
+    const ga = new Set(trigrams(a));
+    const gb = trigrams(b);
+    return 2 * gb.filter(g => ga.has(g)).length / (ga.size + gb.length);
+  };
+
+  const suggestion = keywords.map(keyword => {
+    if (vocabulary.has(keyword)) return keyword;
+    let best = keyword, bestScore = 0.35;
+    for (const word of vocabulary) {
+      const score = similarity(keyword, word);
+      if (score > bestScore) { best = word; bestScore = score; }
+    }
+    return best;
+  }).join(' ');
+
+  return suggestion === keywords.join(' ') ? null : suggestion;
+}
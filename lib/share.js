@@ -0,0 +1,29 @@
+// Share link tokens: the ID, the sharer and an optional expiry, base64url-encoded and HMAC-signed
+// with `secret` so IDs can't be swapped or links extended
+import crypto from 'crypto';
+
+export const SHARE_SIG_LENGTH = 16; // base64url characters of the HMAC kept; the whole token must fit in 64
+
+function shareSignature(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url').slice(0, SHARE_SIG_LENGTH);
+}
+
+// `ttlMs` of 0 makes a link that never expires
+export function signShareToken(secret, customId, userId, ttlMs) {
+  const expires = ttlMs ? Math.ceil((Date.now() + ttlMs) / 60000).toString(36) : '';
+  const data = `${customId}.${Number(userId).toString(36)}.${expires}`;
+  return Buffer.from(data).toString('base64url') + shareSignature(secret, data);
+}
+
+// { customId, sharedBy, expired } for a genuine token, else null
+export function readShareToken(secret, token) {
+  if (!/^[\w-]+$/.test(token) || token.length <= SHARE_SIG_LENGTH) return null;
+  const data = Buffer.from(token.slice(0, -SHARE_SIG_LENGTH), 'base64url').toString();
+  const sig = Buffer.from(token.slice(-SHARE_SIG_LENGTH));
+  const expected = Buffer.from(shareSignature(secret, data));
+  if (!crypto.timingSafeEqual(sig, expected)) return null;
+
+  const [customId, sharer, expires] = data.split('.');
+  if (!/^[FB]\d{4,}$/.test(customId)) return null;
+  return { customId, sharedBy: String(parseInt(sharer, 36)), expired: Boolean(expires) && parseInt(expires, 36) * 60000 < Date.now() };
+}
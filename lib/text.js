@@ -0,0 +1,32 @@
+// Plain string helpers shared by the bot and its tests
+
+export function cleanFileName(text) {
+  return text
+    .replace(/\.(mkv|mp4|avi|mov|flv|wmv|webm|m4v)$/i, '')
+    .replace(/@\w+/g, '')
+    .replace(/[\[\]\(\)\{\}\.\;\:\~\|\,\_\-\+]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function generateAttributes(text) {
+  return text.toLowerCase().split(' ').filter(t => t.length > 0);
+}
+
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+export function formatSize(bytes) {
+  if (bytes >= 1e9) return (bytes / 1e9).toFixed(1) + " GB";
+  if (bytes >= 1e6) return (bytes / 1e6).toFixed(1) + " MB";
+  return (bytes / 1e3).toFixed(1) + " KB";
+}
+
+export function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
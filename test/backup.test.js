@@ -0,0 +1,68 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_FIELDS, backupLine, parseBackup, parseCsv } from '../lib/backup.js';
+
+const file = {
+  _id: 'ignored',
+  customId: 'F0001',
+  file_id: 'BAACAgQAAx0',
+  type: 'video',
+  clean_title: 'Tom & Jerry, "The Movie"\nDirector\'s Cut',
+  tags: ['kids', 'comedy'],
+  file_size: '1.2 GB',
+  downloads: 7,
+  year: 2021,
+  languages: [],
+  uploaded_at: new Date('2024-05-01T10:00:00Z')
+};
+const bundle = { bundleId: 'B0001', title: 'Trilogy', kind: 'collection', items: ['F0001', 'F0002'] };
+
+function dump(format, entries) {
+  const lines = format === 'jsonl' ? [JSON.stringify({ collection: 'meta', version: 1 })] : [];
+  for (const [collection, docs] of entries) {
+    if (format === 'csv') lines.push(BACKUP_FIELDS[collection].join(','));
+    lines.push(...docs.map(doc => backupLine(format, collection, doc)));
+  }
+  return lines.join('\n');
+}
+
+describe('round trip', () => {
+  test('JSON Lines keeps every collection and skips the meta line', () => {
+    const entries = parseBackup(dump('jsonl', [['files', [file]], ['bundles', [bundle]]]));
+    assert.deepEqual(entries.map(e => [e.collection, e.line]), [['files', 2], ['bundles', 3]]);
+    assert.equal(entries[0].record.clean_title, file.clean_title);
+    assert.deepEqual(entries[0].record.tags, ['kids', 'comedy']);
+    assert.equal(entries[0].record.uploaded_at, '2024-05-01T10:00:00.000Z');
+    assert.equal('languages' in entries[0].record, false, 'empty arrays are left out');
+    assert.equal('_id' in entries[0].record, false, 'only backup fields are written');
+    assert.deepEqual(entries[1].record, bundle);
+  });
+
+  test('CSV quotes commas, quotes and newlines and splits list fields', () => {
+    const [entry] = parseBackup(dump('csv', [['files', [file]]]));
+    assert.equal(entry.collection, 'files');
+    assert.deepEqual(entry.record, {
+      customId: 'F0001', file_id: 'BAACAgQAAx0', type: 'video', clean_title: file.clean_title, tags: ['kids', 'comedy'],
+      file_size: '1.2 GB', downloads: '7', year: '2021', uploaded_at: '2024-05-01T10:00:00.000Z'
+    });
+  });
+
+  test('CSV headers tell the collections apart', () => {
+    const detected = ['files', 'bundles', 'users', 'favorites', 'counters'].map(name =>
+      parseBackup(`${BACKUP_FIELDS[name].join(',')}\n${backupLine('csv', name, { _id: 'file', seq: 3, userId: '1', customId: 'F0001', file_id: 'x', bundleId: 'B0001' })}`)[0].collection);
+    assert.deepEqual(detected, ['files', 'bundles', 'users', 'favorites', 'counters']);
+  });
+});
+
+test('bad lines are reported with their line number', () => {
+  assert.deepEqual(parseBackup('{"collection":"files","customId":"F0001"}\n{oops\n\n'), [
+    { collection: 'files', record: { customId: 'F0001' }, line: 1 },
+    { error: 'not valid JSON', line: 2 }
+  ]);
+  assert.throws(() => parseBackup('name,size\na,1'), /Unrecognised file/);
+});
+
+test('parseCsv handles CRLF, a byte order mark and blank rows', () => {
+  assert.deepEqual(parseCsv('a,b\r\n"x ""y""",\r\n\r\n1,2'), [['a', 'b'], ['x "y"', ''], ['1', '2']]);
+  assert.equal(parseBackup(`﻿${BACKUP_FIELDS.counters.join(',')}\nfile,12`)[0].record.seq, '12');
+});
@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor } from '../lib/cursor.js';
+
+test('cursors round-trip and stay URL-safe', () => {
+  const data = { score: 12.5, id: 'F0042', q: 'spider-man / no way home?' };
+  const cursor = encodeCursor(data);
+  assert.match(cursor, /^[\w-]+$/);
+  assert.deepEqual(decodeCursor(cursor), data);
+});
+
+test('missing or garbled cursors decode to null', () => {
+  for (const cursor of [undefined, null, '', '!!!', 'bm90IGpzb24']) assert.equal(decodeCursor(cursor), null);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LANG, LOCALES, pickLanguage, t } from '../lib/i18n.js';
+
+test('plural entries pick the form for count', () => {
+  assert.equal(t('en', 'bundle.summary', { title: 'Trilogy', id: 'B0001', count: 1 }), '📦 <b>Trilogy</b>\n🆔 <code>B0001</code> · 1 file');
+  assert.equal(t('en', 'bundle.summary', { title: 'Trilogy', id: 'B0001', count: 3 }), '📦 <b>Trilogy</b>\n🆔 <code>B0001</code> · 3 files');
+});
+
+test('missing keys and languages fall back to English, then to the key', () => {
+  const key = Object.keys(LOCALES.en).find(k => typeof LOCALES.en[k] === 'string');
+  assert.equal(t('xx', key), t('en', key));
+  assert.equal(t('en', 'no.such.key'), 'no.such.key');
+  assert.equal(t('en', 'no.such.key {name} {count}', { name: 'Bea' }), 'no.such.key Bea {count}');
+});
+
+test('pickLanguage maps Telegram language codes onto a catalog', () => {
+  assert.equal(pickLanguage('es-MX'), 'es');
+  assert.equal(pickLanguage('HI'), 'hi');
+  assert.equal(pickLanguage('xx'), DEFAULT_LANG);
+  assert.equal(pickLanguage(undefined), DEFAULT_LANG);
+});
+
+test('every catalog only uses keys that exist in English', () => {
+  for (const [lang, catalog] of Object.entries(LOCALES)) {
+    const extra = Object.keys(catalog).filter(key => !(key in LOCALES.en));
+    assert.deepEqual(extra, [], `${lang}.json has keys missing from en.json`);
+  }
+});
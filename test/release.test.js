@@ -0,0 +1,65 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReleaseInfo, formatReleaseInfo, parseReleaseCorrections, seriesTitleFrom } from '../lib/release.js';
+import { cleanFileName } from '../lib/text.js';
+
+describe('parseReleaseInfo', () => {
+  test('reads an episode release name', () => {
+    assert.deepEqual(parseReleaseInfo('Breaking.Bad.S02E05.720p.WEB-DL.x264.Hindi.ESub.mkv'), {
+      season: 2, episode: 5, resolution: '720p', source: 'WEB-DL', codec: 'x264', languages: ['hindi'], subtitles: ['english']
+    });
+  });
+
+  test('reads a movie with its year and several audio tracks', () => {
+    const info = parseReleaseInfo('Oppenheimer (2023) 2160p BluRay HEVC [Hin-Eng]');
+    assert.equal(info.year, 2023);
+    assert.equal(info.resolution, '2160p');
+    assert.equal(info.source, 'BluRay');
+    assert.equal(info.codec, 'x265');
+    assert.deepEqual(info.languages, ['hindi', 'english']);
+    assert.equal(info.season, undefined);
+  });
+
+  test('understands 1x02 and season-only names', () => {
+    assert.deepEqual([parseReleaseInfo('Friends 3x07').season, parseReleaseInfo('Friends 3x07').episode], [3, 7]);
+    const pack = parseReleaseInfo('The Office Season 4 Complete');
+    assert.equal(pack.season, 4);
+    assert.equal(pack.episode, undefined);
+  });
+
+  test('takes the last year and ignores resolutions that look like years', () => {
+    assert.equal(parseReleaseInfo('Blade Runner 2049 (2017) 1080p').year, 2017);
+    assert.equal(parseReleaseInfo('Some Show 2160p').year, undefined);
+  });
+});
+
+test('formatReleaseInfo lists the known fields', () => {
+  assert.equal(
+    formatReleaseInfo({ year: 2008, season: 1, episode: 2, resolution: '1080p', languages: ['hindi', 'english'], subtitles: [] }),
+    'Year: 2008\nSeason: 1 · Episode: 2\nQuality: 1080p\nAudio: Hindi, English'
+  );
+  assert.equal(formatReleaseInfo({ languages: [], subtitles: [] }), '');
+});
+
+describe('parseReleaseCorrections', () => {
+  test('maps "field: value" lines to an update', () => {
+    assert.deepEqual(parseReleaseCorrections('title: Iron.Man\nquality: 4k\naudio: hin, eng\nyear: 2008'), {
+      clean_title: 'Iron Man', attributes: ['iron', 'man'], resolution: '2160p', languages: ['hindi', 'english'], year: 2008
+    });
+  });
+
+  test('clears a field with "-" or "none"', () => {
+    assert.deepEqual(parseReleaseCorrections('season: -\nsubs: none'), { season: null, subtitles: [] });
+  });
+
+  test('ignores normal replies', () => {
+    assert.equal(parseReleaseCorrections('looks good to me'), null);
+    assert.equal(parseReleaseCorrections('year: soon'), null);
+    assert.equal(parseReleaseCorrections('title: -'), null);
+  });
+});
+
+test('seriesTitleFrom drops the episode and everything after it', () => {
+  assert.equal(seriesTitleFrom(cleanFileName('Breaking.Bad.2008.S01E02.720p.mkv')), 'Breaking Bad');
+  assert.equal(seriesTitleFrom('Dark Season 2 1080p'), 'Dark');
+});
@@ -0,0 +1,110 @@
+// Regression tests: recorded updates in fixtures/ go through `node bot.js --replay`, and the Bot API
+// calls they cause are checked. Replays use their own database and Redis keys (TelegramMoviesReplay,
+// replay:*), which are wiped first; MONGODB_URI and REDIS_URL come from the environment or .env.
+import dotenv from 'dotenv';
+import { describe, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import mongoose from 'mongoose';
+import Redis from 'ioredis';
+
+dotenv.config({ quiet: true });
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES = ['start', 'myaccount', 'language', 'mutes', 'group-search', 'inline-limit'];
+const ADMIN_ID = '1000';
+const USER_ID = '2001';
+const { MONGODB_URI, REDIS_URL } = process.env;
+
+async function resetReplayData() {
+  const conn = await mongoose.createConnection(MONGODB_URI, { dbName: 'TelegramMoviesReplay' }).asPromise();
+  await conn.dropDatabase();
+  await conn.close();
+
+  const redis = new Redis(REDIS_URL);
+  const keys = await redis.keys('replay:*');
+  if (keys.length) await redis.del(...keys);
+  redis.disconnect();
+}
+
+async function replay(files) {
+  const out = join(tmpdir(), `replay-${process.pid}.json`);
+  await promisify(execFile)(process.execPath, ['bot.js', '--replay', ...files, '--out', out], {
+    cwd: ROOT,
+    timeout: 120000,
+    env: {
+      ...process.env,
+      TELEGRAM_TOKEN: '123456:replay',
+      ADMIN_IDS: ADMIN_ID,
+      FORCE_CHANNEL_ID: '',
+      DAILY_LIMIT: '100',
+      RECORD_UPDATES_DIR: ''
+    }
+  });
+  const transcript = JSON.parse(await readFile(out, 'utf8'));
+  await rm(out);
+  return transcript;
+}
+
+describe('replayed updates', { skip: !(MONGODB_URI && REDIS_URL) && 'set MONGODB_URI and REDIS_URL to run replays' }, () => {
+  let transcript;
+  const calls = (fixture, method) => transcript
+    .filter(entry => entry.file.endsWith(`${fixture}.json`))
+    .flatMap(entry => entry.calls)
+    .filter(call => !method || call.method === method);
+
+  before(async () => {
+    await resetReplayData();
+    transcript = await replay(FIXTURES.map(name => join('test', 'fixtures', `${name}.json`)));
+  });
+
+  test('/start sends the welcome menu', () => {
+    const [welcome] = calls('start', 'sendMessage');
+    assert.equal(String(welcome.params.chat_id), USER_ID);
+    assert.match(welcome.params.text, /Welcome, Ada!/);
+  });
+
+  test('/myaccount shows the default daily limit', () => {
+    const [account] = calls('myaccount', 'sendMessage');
+    assert.match(account.params.text, /Your Account/);
+    assert.match(account.params.text, /Limit: 100/);
+  });
+
+  test('/language offers every locale and switches on tap', () => {
+    const [prompt] = calls('language', 'sendMessage');
+    const codes = prompt.params.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+    assert.deepEqual(codes.sort(), ['LANG:en', 'LANG:es', 'LANG:hi', 'LANG:ta']);
+
+    const [edit] = calls('language', 'editMessageText');
+    assert.match(edit.params.text, /Idioma cambiado/);
+  });
+
+  test('/mutes answers staff exactly once', () => {
+    const replies = calls('mutes', 'sendMessage');
+    assert.equal(replies.length, 1);
+    assert.match(replies[0].params.text, /Nobody is muted/);
+  });
+
+  test('group searches escape the query', () => {
+    const [reply] = calls('group-search', 'sendMessage');
+    assert.equal(String(reply.params.chat_id), '-100500');
+    assert.equal(reply.params.parse_mode, 'HTML');
+    assert.match(reply.params.text, /&lt;b&gt;zzqx/);
+  });
+
+  test('inline picks use up the daily limit once', () => {
+    // Limit 1: the first pick counts, the second finds the quota used up and takes nothing
+    const [answer] = calls('inline-limit', 'answerInlineQuery');
+    assert.deepEqual(answer.params.results, []);
+    assert.match(answer.params.button.text, /Daily limit reached/);
+
+    const [, account] = calls('inline-limit', 'sendMessage');
+    assert.match(account.params.text, /Used: 1\n/);
+    assert.match(account.params.text, /Remaining: 0/);
+  });
+});
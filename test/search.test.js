@@ -0,0 +1,73 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchTerms, trigrams, generateSearchGrams, editDistance, termScore, scoreFile, rankFiles, suggestQuery } from '../lib/search.js';
+import { cleanFileName, generateAttributes } from '../lib/text.js';
+
+const file = (customId, title, extra = {}) => ({ customId, attributes: generateAttributes(cleanFileName(title)), ...extra });
+
+test('searchTerms normalizes case, accents and punctuation', () => {
+  assert.deepEqual(searchTerms('Amélie (2001).mkv'), ['amelie', '2001']);
+  assert.deepEqual(searchTerms('Spider-Man: No_Way_Home'), ['spider', 'man', 'no', 'way', 'home']);
+  assert.equal(searchTerms('a b c d e f g h i j').length, 8);
+});
+
+test('trigrams mark the start and end of a term', () => {
+  assert.deepEqual(trigrams('avatar'), ['^av', 'ava', 'vat', 'ata', 'tar', 'ar$']);
+  assert.deepEqual(trigrams('it'), ['^it', 'it$']);
+});
+
+test('search grams include joined word pairs', () => {
+  const grams = generateSearchGrams(['spider', 'man']);
+  for (const gram of trigrams('spiderman')) assert.ok(grams.includes(gram), gram);
+});
+
+describe('editDistance', () => {
+  test('counts single-character edits', () => {
+    assert.equal(editDistance('avengers', 'avengers', 2), 0);
+    assert.equal(editDistance('avengers', 'avnegers', 2), 2);
+    assert.equal(editDistance('matrix', 'matrx', 1), 1);
+  });
+
+  test('stops at the budget', () => {
+    assert.equal(editDistance('interstellar', 'inception', 2), 3);
+    assert.equal(editDistance('a', 'abcdef', 2), 3);
+  });
+});
+
+test('termScore ranks exact > prefix > typo > substring', () => {
+  const exact = termScore('avatar', 'avatar');
+  const prefix = termScore('ava', 'avatar');
+  const typo = termScore('avatr', 'avatar');
+  const substring = termScore('tar', 'avatar');
+  assert.ok(exact > prefix && prefix > typo && typo > substring && substring > 0, [exact, prefix, typo, substring].join(' '));
+  assert.equal(termScore('cat', 'dog'), 0);
+});
+
+describe('ranking', () => {
+  test('a typo still finds the title', () => {
+    assert.ok(scoreFile(searchTerms('intersteller'), file('F0001', 'Interstellar 2014 1080p')) > 0);
+    assert.equal(scoreFile(searchTerms('zzqx'), file('F0001', 'Interstellar 2014 1080p')), 0);
+  });
+
+  test('joined words match titles written apart', () => {
+    assert.ok(scoreFile(searchTerms('spiderman'), file('F0001', 'Spider Man Homecoming')) > 0);
+  });
+
+  test('best match first, then downloads, then the newest upload', () => {
+    const files = [
+      file('F0001', 'Avengers Endgame Extended Cut', { downloads: 50, uploaded_at: '2024-01-01' }), // Query explains less of the title
+      file('F0002', 'Avengers Endgame', { downloads: 5, uploaded_at: '2024-01-01' }),
+      file('F0003', 'Avengers Endgame', { downloads: 5, uploaded_at: '2024-06-01' }),
+      file('F0004', 'Avengers Endgame', { downloads: 9, uploaded_at: '2023-01-01' }),
+      file('F0005', 'Frozen', { downloads: 999 })
+    ];
+    assert.deepEqual(rankFiles(searchTerms('avengers endgame'), files).map(f => f.customId), ['F0004', 'F0003', 'F0002', 'F0001']);
+  });
+});
+
+test('suggestQuery swaps misspelled words for known title words', () => {
+  const candidates = [file('F0001', 'Interstellar 2014'), file('F0002', 'Inception 2010')];
+  assert.equal(suggestQuery(['intersteller', '2014'], candidates), 'interstellar 2014');
+  assert.equal(suggestQuery(['inception'], candidates), null);
+  assert.equal(suggestQuery(['anything'], []), null);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signShareToken, readShareToken } from '../lib/share.js';
+
+const SECRET = 'test-secret';
+const DAY_MS = 86400000;
+
+test('a signed token reads back its file and sharer', () => {
+  const token = signShareToken(SECRET, 'F0012', 123456789, 0);
+  assert.match(token, /^[\w-]+$/);
+  assert.ok(token.length <= 64, 'fits in a /start payload');
+  assert.deepEqual(readShareToken(SECRET, token), { customId: 'F0012', sharedBy: '123456789', expired: false });
+  assert.equal(readShareToken(SECRET, signShareToken(SECRET, 'B0003', 42, 0)).customId, 'B0003');
+});
+
+test('tampered, foreign or malformed tokens are rejected', () => {
+  const token = signShareToken(SECRET, 'F0012', 42, 0);
+  const swapped = Buffer.from('F0013.16.').toString('base64url') + token.slice(-16);
+  assert.equal(readShareToken(SECRET, swapped), null);
+  assert.equal(readShareToken('other-secret', token), null);
+  assert.equal(readShareToken(SECRET, 'F0012'), null);
+  assert.equal(readShareToken(SECRET, `${token}!`), null);
+});
+
+test('links expire after their TTL', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 0, 1) });
+  const token = signShareToken(SECRET, 'F0012', 42, 7 * DAY_MS);
+  t.mock.timers.tick(6 * DAY_MS);
+  assert.equal(readShareToken(SECRET, token).expired, false);
+  t.mock.timers.tick(2 * DAY_MS);
+  assert.equal(readShareToken(SECRET, token).expired, true);
+  assert.equal(readShareToken(SECRET, signShareToken(SECRET, 'F0012', 42, 0)).expired, false);
+});